@@ -1,8 +1,18 @@
 /**
  * MILCODEC Web Receiver - Main Application Controller
- * Disguised as FM Radio Tuner, reveals receiver on secret trigger
+ * Disguised as FM Radio Tuner, reveals receiver on secret trigger.
+ * The passcode is the vault passphrase (see MilcodecVault): chosen on first
+ * unlock, with an optional duress code. The panel hides again whenever the
+ * vault locks, including auto-lock on inactivity or when the page is hidden.
  */
 
+const PRIORITY_COLORS = {
+    FLASH: 'var(--red)',
+    IMMEDIATE: 'var(--amber)',
+    PRIORITY: 'var(--cyan)',
+    ROUTINE: 'var(--text)'
+};
+
 class MilcodecWebReceiver {
     constructor() {
         // Radio state
@@ -10,17 +20,27 @@ class MilcodecWebReceiver {
         this.freq = 101.5;
         this.unlockClicks = 0;
         this.lastClickTime = 0;
-        this.isUnlocked = false;
+        this.setupStep = null; // First-run passcode entry: { stage, passcode }
 
         // Audio state
         this.audioContext = null;
         this.analyser = null;
         this.microphone = null;
         this.isListening = false;
-        this.audioBuffer = [];
-        this.messages = [];
+        this.objectUrls = [];
+        this.spectrumView = 'raw'; // 'raw' | 'filtered' | 'compare', see setSpectrumView()
+        this.spectrum = null; // Last { raw, filtered } from the decoder's front end
+
+        // Message body renderers, keyed by MilcodecMessageTypes name
+        this.renderers = {
+            TEXT: (m) => this.renderText(m),
+            POSITION: (m) => this.renderPosition(m),
+            ACK: (m) => this.renderAck(m),
+            BLOB: (m) => this.renderBlob(m)
+        };
 
-        // Decode settings
+        // Decode settings: rxMode is a MILCODEC.PROFILES name, autoScan tries every
+        // enabled profile at once. Change with setReceiveMode().
         this.rxMode = 'COVERT';
         this.autoScan = true;
 
@@ -43,11 +63,66 @@ class MilcodecWebReceiver {
         this.authError = document.getElementById('auth-error');
         this.secretTrigger = document.getElementById('secret-trigger');
 
+        // Capture worklet + decoder worker keep decoding off the UI thread
+        this.pipeline = new MilcodecPipeline({
+            onMessage: (result, info, payload) => this.addMessage(result, info, payload),
+            onDuplicate: (result) => MilcodecMessageStore.mergeDuplicate(result),
+            onFragment: (progress) => MilcodecMessageStore.setPartial(progress),
+            onFragmentExpired: (id) => MilcodecMessageStore.removePartial(id),
+            onRejected: (result) => console.log('Message rejected:', result.content),
+            onDropped: (rejection) => console.log('Packet dropped:', rejection.reason, rejection.detail),
+            onPacket: (info) => this.showSignal(info),
+            onProgress: (progress) => {
+                if (!this.isListening) return;
+                this.setStatus(`RECEIVING ${progress.profile} ${MilcodecPipeline.describeProgress(progress)}`, 'var(--amber)');
+            },
+            onSpectrum: (spectrum) => { this.spectrum = spectrum; },
+            onCapture: (capture) => this.downloadCapture(capture),
+            onState: (state, profile) => {
+                this.ackTransmitter.handleState(state);
+                this.handleDecoderState(state, profile);
+            },
+            onLog: (text) => console.log(text)
+        });
+
+        this.pipeline.setReceiveMode({ profile: this.rxMode, autoScan: this.autoScan });
+
+        // Channel key vault, shown inside the messages panel when the page provides a slot
+        const keyPanel = document.getElementById('key-panel');
+        this.keyPanel = keyPanel ? new MilcodecKeyPanel(keyPanel, this.pipeline) : null;
+        // Without the panel, the duress wipe still has to reach the worker's replay cache
+        if (!this.keyPanel) MilcodecVault.subscribeWipe(() => this.pipeline.clearReplayCache());
+
+        // ACK back-channel, off by default: receiver.ackTransmitter.configure({ policy: 'URGENT' })
+        this.ackTransmitter = new MilcodecAckTransmitter(this.pipeline);
+        if (this.keyPanel) this.ackTransmitter.onIdentity = (publicKeyHex) => this.keyPanel.showIdentity(publicKeyHex);
+
+        // Persistent inbox, encrypted under the unlock passcode
+        this.inboxView = new MilcodecInboxView(this.inbox, MilcodecMessageStore, {
+            onOpen: (message) => this.showMessage(message)
+        });
+
+        // Back behind the tuner whenever the vault locks
+        MilcodecVault.subscribe((unlocked) => {
+            if (!unlocked) this.lock();
+        });
+        MilcodecVault.enableAutoLock();
+
+        this.pipeline.selfCheck().then((check) => {
+            if (!check.ok) this.showSelfCheckFailure(check);
+        });
+
         this.initEventListeners();
         this.initAudio();
         this.startVisualization();
     }
 
+    // Receiver refuses to listen: without working crypto nothing can be read or verified
+    showSelfCheckFailure(check) {
+        this.setStatus('CRYPTO SELF-CHECK FAILED', 'var(--red)');
+        for (const failure of check.failures) console.error('[SELFCHECK]', failure);
+    }
+
     initEventListeners() {
         // Tuner dial
         this.tuner.addEventListener('input', (e) => {
@@ -74,9 +149,8 @@ class MilcodecWebReceiver {
 
     async initAudio() {
         try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
-                sampleRate: MILCODEC.FS
-            });
+            // Native device rate; the decoder adapts to it
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
 
             this.analyser = this.audioContext.createAnalyser();
             this.analyser.fftSize = 256;
@@ -88,10 +162,15 @@ class MilcodecWebReceiver {
     }
 
     async startMicrophone() {
+        const check = await this.pipeline.selfCheck();
+        if (!check.ok) {
+            this.showSelfCheckFailure(check);
+            return;
+        }
+
         try {
             const stream = await navigator.mediaDevices.getUserMedia({
                 audio: {
-                    sampleRate: MILCODEC.FS,
                     channelCount: 1,
                     echoCancellation: false,
                     noiseSuppression: false,
@@ -102,25 +181,8 @@ class MilcodecWebReceiver {
             this.microphone = this.audioContext.createMediaStreamSource(stream);
             this.microphone.connect(this.analyser);
 
-            // Set up ScriptProcessorNode for raw audio access
-            const bufferSize = 4096;
-            const processor = this.audioContext.createScriptProcessor(bufferSize, 1, 1);
-
-            processor.onaudioprocess = (e) => {
-                if (!this.isListening) return;
-
-                const input = e.inputBuffer.getChannelData(0);
-                const copy = new Float32Array(input);
-                this.audioBuffer.push(copy);
-
-                // Process every ~2 seconds of audio
-                if (this.audioBuffer.length * bufferSize >= MILCODEC.FS * 2) {
-                    this.processAudioBuffer();
-                }
-            };
-
-            this.microphone.connect(processor);
-            processor.connect(this.audioContext.destination);
+            // Raw audio goes to the decoder worker via the capture worklet
+            await this.pipeline.start(this.audioContext, this.microphone);
 
             this.isListening = true;
             this.setStatus('LISTENING...', 'var(--green)');
@@ -130,96 +192,234 @@ class MilcodecWebReceiver {
             console.log('Microphone active');
 
         } catch (e) {
-            console.error('Microphone access denied:', e);
-            this.setStatus('MIC ACCESS DENIED', 'var(--red)');
+            // getUserMedia refuses with a DOMException; the decoder worker with a plain Error
+            console.error('Receiver start failed:', e);
+            this.setStatus(e instanceof DOMException ? 'MIC ACCESS DENIED' : 'RECEIVER ERROR', 'var(--red)');
         }
     }
 
     stopMicrophone() {
         this.isListening = false;
-        this.audioBuffer = [];
+        this.pipeline.stop();
         this.signalIndicator.classList.remove('signal-on');
         this.signalIndicator.classList.add('signal-off');
         this.setStatus('STOPPED', 'var(--amber)');
     }
 
-    processAudioBuffer() {
-        // Concatenate buffered audio
-        const totalLength = this.audioBuffer.reduce((sum, chunk) => sum + chunk.length, 0);
-        const combined = new Float32Array(totalLength);
-        let offset = 0;
+    // Optional ambient-noise calibration before traffic: receiver.calibrate()
+    async calibrate(seconds = 3) {
+        if (!this.isListening) throw new Error('Power on and unlock before calibrating');
 
-        for (const chunk of this.audioBuffer) {
-            combined.set(chunk, offset);
-            offset += chunk.length;
+        this.setStatus('CALIBRATING NOISE...', 'var(--amber)');
+        try {
+            const { noiseFloors } = await this.pipeline.calibrate(seconds);
+            const summary = Object.entries(noiseFloors).map(([profile, floor]) => `${profile} ${floor.toFixed(1)}`);
+            this.setStatus(`NOISE FLOOR ${summary.join(', ')}`, 'var(--green)');
+            return noiseFloors;
+        } catch (e) {
+            this.setStatus('CALIBRATION FAILED', 'var(--red)');
+            throw e;
         }
+    }
 
-        this.audioBuffer = [];
+    // Profile to receive, or every enabled one with autoScan:
+    // receiver.setReceiveMode({ profile: 'ROBUST', autoScan: false })
+    setReceiveMode({ profile = this.rxMode, autoScan = this.autoScan } = {}) {
+        this.rxMode = profile;
+        this.autoScan = autoScan;
+        this.pipeline.setReceiveMode({ profile, autoScan });
+    }
 
-        this.setStatus('SCANNING/DECODING...', 'var(--amber)');
+    // Visualizer source for tuning deployments: receiver.setSpectrumView('compare')
+    setSpectrumView(view) {
+        if (!['raw', 'filtered', 'compare'].includes(view)) throw new Error(`Unknown spectrum view: ${view}`);
+        this.spectrumView = view;
+        this.spectrum = null;
+        this.pipeline.setSpectrumEnabled(view !== 'raw');
+    }
 
-        // Extract signal
-        const payload = MILCODEC.extractFromAudio(combined, this.rxMode, this.autoScan);
+    // Black box for field debugging: receiver.saveCapture() downloads the last 30 s of input;
+    // receiver.pipeline.configureBlackBox({ trigger: 'failed' }) downloads every failed packet
+    async saveCapture() {
+        this.downloadCapture(await this.pipeline.saveCapture());
+    }
 
-        if (payload) {
-            console.log('Payload extracted:', payload.length, 'bytes');
+    downloadCapture({ name, wav }) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([wav], { type: 'audio/wav' }));
+        link.download = name;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
 
-            // Decrypt
-            const result = MilcodecCrypto.decrypt(payload);
+    // Live report of the last decoded packet; stays until the decoder state changes
+    showSignal(info) {
+        const summary = `${info.profile} • ${MilcodecPipeline.describeSignal(info.diagnostics)}`;
+        this.signalIndicator.title = summary;
+        this.setStatus(`PACKET ${summary}`, 'var(--green)');
+    }
 
-            if (result.status === 'OK') {
-                this.addMessage(result);
-            } else {
-                console.log('Decrypt failed:', result.content);
-            }
+    handleDecoderState(state, profile = null) {
+        if (!this.isListening) return;
+
+        if (state === 'HUNTING') {
+            this.setStatus('LISTENING...', 'var(--green)');
+        } else {
+            this.setStatus(`RECEIVING ${profile} PACKET...`, 'var(--amber)');
+        }
+    }
+
+    async addMessage(result, info, payload) {
+        const message = await MilcodecMessageStore.add(result, info, payload);
+        this.ackTransmitter.acknowledge(result, this.audioContext, info.profile);
+
+        // Auto-show latest message
+        this.showMessage(message);
+
+        // Audio alert for high priority
+        if (result.priority === 'FLASH' || result.priority === 'IMMEDIATE') {
+            this.playAlert();
         }
+    }
 
-        this.setStatus('LISTENING...', 'var(--green)');
+    showMessage(message) {
+        let authStr = 'UNVERIFIED SENDER ⚠️';
+        if (message.verified) authStr = `AUTHENTICATED SENDER: ${message.sender} ✅`;
+        else if (message.signature === 'INVALID') authStr = 'BAD SIGNATURE ⚠️';
+        else if (message.signature === 'UNSIGNED') authStr = 'UNSIGNED MESSAGE ⚠️';
+
+        // Object URLs from the previously shown attachment
+        this.objectUrls.forEach((url) => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+
+        // Text nodes only: decrypted content is untrusted
+        const header = document.createElement('strong');
+        header.textContent = authStr;
+        const render = this.renderers[message.msgType] || this.renderers.TEXT;
+        const lines = [header, document.createElement('br'), `KEY: ${message.keyName}`];
+        if (message.signal.diagnostics) {
+            const profile = message.signal.profile ? `${message.signal.profile} • ` : '';
+            lines.push(document.createElement('br'), `SIGNAL: ${profile}${MilcodecPipeline.describeSignal(message.signal.diagnostics)}`);
+        }
+        this.currentMessage.replaceChildren(...lines, render(message));
+        this.currentMessage.style.color = PRIORITY_COLORS[message.priority] || 'var(--text)';
     }
 
-    addMessage(result) {
-        const timestamp = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-        const authBadge = result.verified ? '✅' : '⚠️';
+    el(tag, className, text = null) {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== null) node.textContent = text;
+        return node;
+    }
 
-        const message = {
-            content: result.content,
-            priority: result.priority,
-            msgType: result.msgType,
-            verified: result.verified,
-            timestamp
-        };
+    renderText(message) {
+        return this.el('div', 'message-text', message.content);
+    }
 
-        this.messages.unshift(message);
+    // Coordinates (decimal, DMS, Maidenhead) over a world grid with all reported positions
+    renderPosition(message) {
+        const { lat, lon, time, label } = message.body;
+        const view = this.el('div', 'message-text');
+
+        const lines = [
+            label ? `POSITION: ${label}` : 'POSITION',
+            `${this.formatDms(lat, 'N', 'S')}  ${this.formatDms(lon, 'E', 'W')}`,
+            `${lat.toFixed(5)}, ${lon.toFixed(5)}`,
+            `GRID ${this.maidenhead(lat, lon)}`
+        ];
+        if (time) lines.push(`FIX ${new Date(time).toISOString().replace('T', ' ').slice(0, 19)}Z`);
+        view.append(this.el('div', null, lines.join('\n')));
+
+        const canvas = this.el('canvas', 'position-grid');
+        canvas.width = 360;
+        canvas.height = 180;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, 360, 180);
+
+        // Equirectangular: 1 px per degree, graticule every 30°
+        ctx.strokeStyle = '#333';
+        for (let x = 0; x <= 360; x += 30) {
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, 180);
+            ctx.stroke();
+        }
+        for (let y = 0; y <= 180; y += 30) {
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(360, y);
+            ctx.stroke();
+        }
 
-        // Update inbox
-        const preview = result.content.length > 30
-            ? result.content.substring(0, 30) + '...'
-            : result.content;
+        const others = MilcodecMessageStore.messages.filter((m) => m.msgType === 'POSITION' && m !== message);
+        ctx.fillStyle = '#666';
+        for (const m of others) ctx.fillRect(m.body.lon + 180 - 1, 90 - m.body.lat - 1, 3, 3);
 
-        const item = document.createElement('div');
-        item.className = `message-item ${result.priority.toLowerCase()}`;
-        item.textContent = `[${result.priority}] ${timestamp} ${authBadge} - ${preview}`;
-        item.addEventListener('click', () => this.showMessage(message));
+        // Canvas does not resolve CSS custom properties: read the value behind var(--red)
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--red').trim() || '#ff3355';
+        ctx.beginPath();
+        ctx.arc(lon + 180, 90 - lat, 4, 0, 2 * Math.PI);
+        ctx.fill();
 
-        // Remove empty state
-        const emptyState = this.inbox.querySelector('.empty-state');
-        if (emptyState) emptyState.remove();
+        view.append(canvas);
+        return view;
+    }
 
-        this.inbox.insertBefore(item, this.inbox.firstChild);
+    formatDms(value, positive, negative) {
+        const abs = Math.abs(value);
+        const deg = Math.floor(abs);
+        const minutes = (abs - deg) * 60;
+        const min = Math.floor(minutes);
+        const sec = ((minutes - min) * 60).toFixed(1);
+        return `${deg}°${min}'${sec}"${value >= 0 ? positive : negative}`;
+    }
 
-        // Auto-show latest message
-        this.showMessage(message);
+    // 6-character Maidenhead locator
+    maidenhead(lat, lon) {
+        const x = Math.min(lon + 180, 359.99999);
+        const y = Math.min(lat + 90, 179.99999);
+        const upper = 'A'.charCodeAt(0);
+        const lower = 'a'.charCodeAt(0);
+        return String.fromCharCode(upper + Math.floor(x / 20), upper + Math.floor(y / 10)) +
+            `${Math.floor((x % 20) / 2)}${Math.floor(y % 10)}` +
+            String.fromCharCode(lower + Math.floor((x % 2) * 12), lower + Math.floor((y % 1) * 24));
+    }
 
-        // Audio alert for high priority
-        if (result.priority === 'FLASH' || result.priority === 'IMMEDIATE') {
-            this.playAlert();
+    renderAck(message) {
+        const { ref, ok } = message.body;
+        const view = this.el('div', 'message-text', `${ok ? 'ACK' : 'NACK'} for message ${ref}`);
+
+        const original = MilcodecMessageStore.messages.find((m) => m.messageId === ref);
+        if (original) {
+            view.append(this.el('div', null, `Re: ${original.content.slice(0, 60)}`));
         }
+        return view;
     }
 
-    showMessage(message) {
-        const authStr = message.verified ? 'AUTHENTICATED SENDER ✅' : 'UNVERIFIED SENDER ⚠️';
-        this.currentMessage.innerHTML = `<strong>${authStr}</strong><br><br>${message.content}`;
-        this.currentMessage.style.color = MILCODEC.PRIORITIES[message.priority] || 'var(--text)';
+    // Attachment: offered for download; raster images are previewed
+    renderBlob(message) {
+        const { name, mime, size, data } = message.body;
+        const view = this.el('div', 'message-text', `FILE: ${name}\n${size} bytes, ${mime}`);
+        const bytes = Uint8Array.from(atob(data), (c) => c.charCodeAt(0));
+
+        if (/^image\/(png|jpeg|gif|webp)$/.test(mime)) {
+            const url = URL.createObjectURL(new Blob([bytes], { type: mime }));
+            this.objectUrls.push(url);
+            const img = this.el('img', 'blob-preview');
+            img.src = url;
+            img.alt = name;
+            view.append(img);
+        }
+
+        // Always saved as opaque bytes so the browser never renders it in this origin
+        const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+        this.objectUrls.push(url);
+        const link = this.el('a', 'blob-download', 'DOWNLOAD');
+        link.href = url;
+        link.download = name;
+        view.append(link);
+        return view;
     }
 
     playAlert() {
@@ -242,7 +442,7 @@ class MilcodecWebReceiver {
             this.powerBtn.classList.remove('power-off');
             this.playStatic();
 
-            if (this.isUnlocked) {
+            if (MilcodecVault.isUnlocked()) {
                 this.audioContext.resume().then(() => this.startMicrophone());
             }
         } else {
@@ -257,8 +457,9 @@ class MilcodecWebReceiver {
         if (!this.audioContext) return;
 
         const duration = 0.5;
-        const samples = MILCODEC.FS * duration;
-        const buffer = this.audioContext.createBuffer(1, samples, MILCODEC.FS);
+        const rate = this.audioContext.sampleRate;
+        const samples = Math.round(rate * duration);
+        const buffer = this.audioContext.createBuffer(1, samples, rate);
         const data = buffer.getChannelData(0);
 
         for (let i = 0; i < samples; i++) {
@@ -311,36 +512,91 @@ class MilcodecWebReceiver {
         }
     }
 
-    showPasswordModal() {
+    async showPasswordModal() {
+        // No vault yet: walk through choosing the passcode instead
+        this.setupStep = (await MilcodecVault.exists()) ? null : { stage: 'passcode', passcode: null };
+        this.passcodeInput.placeholder = this.setupStep ? 'NEW PASSCODE' : '';
         this.passwordModal.classList.remove('hidden');
         this.passcodeInput.focus();
         this.authError.classList.add('hidden');
     }
 
-    authenticate() {
+    async authenticate() {
         const code = this.passcodeInput.value;
+        this.passcodeInput.value = '';
+        this.authError.classList.add('hidden');
 
-        if (code === 'DELTA') {
-            this.passwordModal.classList.add('hidden');
-            this.passcodeInput.value = '';
-            this.unlock();
-        } else {
+        try {
+            if (this.setupStep) {
+                if (!(await this.setupPasscode(code))) return;
+            } else {
+                this.authBtn.disabled = true;
+                await MilcodecVault.unlock(code);
+            }
+        } catch (e) {
+            this.authError.textContent = e.message.toUpperCase();
             this.authError.classList.remove('hidden');
-            this.passcodeInput.value = '';
             this.passcodeInput.focus();
+            return;
+        } finally {
+            this.authBtn.disabled = false;
+        }
+
+        this.passwordModal.classList.add('hidden');
+        this.unlock();
+    }
+
+    // First run: passcode, repeat, then an optional duress code (blank skips).
+    // -> true once the vault is created
+    async setupPasscode(code) {
+        const step = this.setupStep;
+        const next = (stage, placeholder) => {
+            step.stage = stage;
+            this.passcodeInput.placeholder = placeholder;
+            this.passcodeInput.focus();
+            return false;
+        };
+
+        switch (step.stage) {
+            case 'passcode':
+                if (code.length < MilcodecVault.MIN_PASSPHRASE_LENGTH) {
+                    throw new Error(`Passcode must be at least ${MilcodecVault.MIN_PASSPHRASE_LENGTH} characters`);
+                }
+                step.passcode = code;
+                return next('confirm', 'REPEAT PASSCODE');
+            case 'confirm':
+                if (code !== step.passcode) {
+                    next('passcode', 'NEW PASSCODE');
+                    throw new Error('Passcodes do not match');
+                }
+                return next('duress', 'DURESS CODE (OPTIONAL)');
+            default:
+                await MilcodecVault.setup(step.passcode, code || null);
+                this.setupStep = null;
+                this.passcodeInput.placeholder = '';
+                return true;
         }
     }
 
     unlock() {
-        this.isUnlocked = true;
         this.messagesPanel.classList.remove('hidden');
 
-        // If power is on, start listening
-        if (this.isPowered) {
+        // If power is on, start listening (still running if this is a re-unlock)
+        if (this.isPowered && !this.isListening) {
             this.audioContext.resume().then(() => this.startMicrophone());
         }
     }
 
+    // Hide the receiver again; capture keeps running with the keys it had (see
+    // MilcodecKeyPanel.unloadKeys) and new messages wait for the next unlock
+    lock() {
+        this.messagesPanel.classList.add('hidden');
+        this.passwordModal.classList.add('hidden');
+        this.currentMessage.replaceChildren();
+        this.objectUrls.forEach((url) => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+    }
+
     setStatus(text, color) {
         this.rxStatus.textContent = `● ${text}`;
         this.rxStatus.style.color = color;
@@ -356,7 +612,10 @@ class MilcodecWebReceiver {
             this.ctx.fillStyle = '#000';
             this.ctx.fillRect(0, 0, width, height);
 
-            if (this.analyser && this.isPowered) {
+            if (this.spectrumView !== 'raw' && this.spectrum && this.isListening) {
+                if (this.spectrumView === 'compare') this.drawSpectrum(this.spectrum.raw, '#444');
+                this.drawSpectrum(this.spectrum.filtered);
+            } else if (this.analyser && this.isPowered) {
                 const bufferLength = this.analyser.frequencyBinCount;
                 const dataArray = new Uint8Array(bufferLength);
                 this.analyser.getByteFrequencyData(dataArray);
@@ -386,9 +645,27 @@ class MilcodecWebReceiver {
 
         draw();
     }
+
+    // Front-end spectrum: 128 bins spanning 0 to half the sample rate
+    drawSpectrum(bytes, color = null) {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const barWidth = width / bytes.length;
+
+        for (let i = 0; i < bytes.length; i++) {
+            const barHeight = (bytes[i] / 255) * height;
+            this.ctx.fillStyle = color || `hsl(${120 - (bytes[i] / 255) * 120}, 80%, 50%)`;
+            this.ctx.fillRect(i * barWidth, height - barHeight, barWidth - 1, barHeight);
+        }
+    }
 }
 
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     window.receiver = new MilcodecWebReceiver();
 });
+
+// Precached assets keep the receiver working offline, see sw.js
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js').catch((e) => console.error('[OFFLINE] Service worker failed:', e.message));
+}
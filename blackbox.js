@@ -0,0 +1,183 @@
+/**
+ * MILCODEC Black Box
+ * Keeps the last seconds of raw input so a packet the decoder fails on can
+ * be saved and analysed offline (see test_file.html). A preamble opens a
+ * capture with preTrigger seconds of lead-in; it closes postTrigger seconds
+ * after the packet's outcome and is handed over as a WAV file carrying the
+ * decode metadata. save() captures the whole ring on demand.
+ *
+ * trigger: 'off'       on demand only
+ *          'failed'    packets that end rejected or dropped
+ *          'preamble'  every packet
+ */
+
+class MilcodecBlackBox {
+    static DEFAULTS = {
+        trigger: 'off',
+        seconds: 30, // Ring length: what save() returns, and the most lead-in a capture can have
+        preTrigger: 2,
+        postTrigger: 1,
+        maxSeconds: 180, // A capture still open this long is saved as it is
+        format: 'float32' // See MilcodecWav.FORMATS
+    };
+
+    static TRIGGERS = ['off', 'failed', 'preamble'];
+
+    // Packet outcomes 'failed' keeps; a capture that never saw one is kept too
+    static FAILURES = ['REJECTED', 'DROPPED'];
+
+    constructor(sampleRate, options = {}) {
+        this.sampleRate = sampleRate;
+        this.options = { ...MilcodecBlackBox.DEFAULTS };
+        this.ring = null;
+        this.filledFrom = 0; // Oldest sample actually written to the ring
+        this.base = 0; // Ring index of the decoders' sample 0; they count afresh after a reset
+        this.captures = new Map(); // profile -> open capture, see preamble()
+        this.onCapture = null; // ({ name, wav, metadata }) for each capture kept
+        this.configure(options);
+    }
+
+    // Throws on settings configure() would refuse; -> options
+    static check(options) {
+        const { trigger, format, seconds } = { ...MilcodecBlackBox.DEFAULTS, ...options };
+        if (!(seconds > 0)) throw new Error(`Black box length must be positive: ${seconds}`);
+        if (!MilcodecBlackBox.TRIGGERS.includes(trigger)) throw new Error(`Unknown black box trigger: ${trigger}`);
+        if (!MilcodecWav.FORMATS.includes(format)) throw new Error(`Unknown WAV format: ${format}`);
+        return options;
+    }
+
+    configure(options) {
+        const next = { ...this.options, ...MilcodecBlackBox.check(options) };
+        this.options = next;
+        if (next.trigger === 'off') this.captures.clear();
+
+        // Resizing keeps as much of the recent audio as fits
+        const capacity = Math.max(1, Math.round(next.seconds * this.sampleRate));
+        if (this.ring && this.ring.capacity === capacity) return;
+        const end = this.ring ? this.ring.end : 0;
+        const keep = this.ring ? Math.min(capacity, end - this.oldest()) : 0;
+        const kept = keep > 0 ? this.ring.read(end - keep, keep) : null;
+        this.ring = new MilcodecRingBuffer(capacity);
+        this.ring.end = end - keep;
+        this.filledFrom = end - keep;
+        if (kept) this.ring.push(kept);
+    }
+
+    oldest() {
+        return Math.max(this.ring.start, this.filledFrom);
+    }
+
+    // Raw input, before the decoders see it (so a preamble's lead-in is already here)
+    push(chunk) {
+        const from = this.ring.end;
+        this.ring.push(chunk);
+        for (const capture of this.captures.values()) {
+            // A capture's tail ends at closeAt, not at the end of the chunk that reaches it
+            const take = capture.closeAt === null ? chunk.length : Math.min(chunk.length, capture.closeAt - from);
+            capture.chunks.push(chunk.slice(0, Math.max(0, take)));
+            capture.length += Math.max(0, take);
+
+            if (capture.closeAt !== null && this.ring.end >= capture.closeAt) {
+                this.close(capture);
+            } else if (capture.length >= this.options.maxSeconds * this.sampleRate) {
+                this.close(capture, true);
+            }
+        }
+    }
+
+    // A decoder found a preamble: { profile, offset, noiseFloor } from MilcodecStreamDecoder
+    preamble(preamble) {
+        if (this.options.trigger === 'off') return;
+
+        // The decoder only looks for the next preamble once the last packet is over
+        const previous = this.captures.get(preamble.profile);
+        if (previous) this.close(previous);
+
+        const at = this.base + preamble.offset;
+        const from = Math.max(this.oldest(), at - Math.round(this.options.preTrigger * this.sampleRate));
+        const lead = this.ring.read(from, this.ring.end - from);
+        this.captures.set(preamble.profile, {
+            profile: preamble.profile,
+            start: from,
+            chunks: [lead],
+            length: lead.length,
+            preamble,
+            at,
+            triggeredAt: new Date().toISOString(),
+            outcome: null,
+            closeAt: null
+        });
+    }
+
+    // How the packet behind a profile's capture ended: { status, ... }, status
+    // one of MESSAGE, DUPLICATE, FRAGMENT, REJECTED, DROPPED
+    outcome(profile, outcome) {
+        const capture = this.captures.get(profile);
+        if (!capture || capture.outcome) return;
+        capture.outcome = outcome;
+        capture.closeAt = this.ring.end + Math.round(this.options.postTrigger * this.sampleRate);
+    }
+
+    close(capture, truncated = false) {
+        this.captures.delete(capture.profile);
+
+        const { outcome } = capture;
+        if (this.options.trigger === 'failed' && outcome && !MilcodecBlackBox.FAILURES.includes(outcome.status)) return;
+
+        const audio = new Float32Array(capture.length);
+        let offset = 0;
+        for (const chunk of capture.chunks) {
+            audio.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        this.emit(audio, capture.start, {
+            reason: 'preamble',
+            triggeredAt: capture.triggeredAt,
+            preamble: { ...capture.preamble, fileOffset: capture.at - capture.start },
+            outcome,
+            truncated
+        });
+    }
+
+    // The whole ring now, whatever the decoders are doing
+    // -> { name, wav, metadata }
+    save() {
+        const from = this.oldest();
+        return this.build(this.ring.read(from, this.ring.end - from), from, { reason: 'manual' });
+    }
+
+    // End of input: open captures are saved as they are
+    flush() {
+        for (const capture of this.captures.values()) this.close(capture);
+    }
+
+    // Decoders restarted and count from 0 again; the ring keeps its audio
+    reset() {
+        this.flush();
+        this.base = this.ring.end;
+    }
+
+    emit(audio, start, metadata) {
+        if (this.onCapture) this.onCapture(this.build(audio, start, metadata));
+    }
+
+    // startSample: the first sample's index in the black box's input
+    build(audio, startSample, metadata) {
+        const savedAt = new Date().toISOString();
+        const info = {
+            ...metadata,
+            savedAt,
+            sampleRate: this.sampleRate,
+            startSample,
+            seconds: Math.round(audio.length / this.sampleRate * 1000) / 1000,
+            format: this.options.format
+        };
+        const profile = metadata.preamble ? `-${metadata.preamble.profile}` : '';
+        return {
+            name: `milcodec-${metadata.reason}${profile}-${savedAt.replace(/[:.]/g, '-')}.wav`,
+            wav: MilcodecWav.encode(audio, this.sampleRate, { format: this.options.format, metadata: info }),
+            metadata: info
+        };
+    }
+}
@@ -0,0 +1,53 @@
+/**
+ * MILCODEC Capture Worklet
+ * Runs on the audio rendering thread: batches 128-frame render quanta
+ * into larger chunks and posts them straight to the decoder worker.
+ */
+
+class MilcodecCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        const opts = options.processorOptions || {};
+        this.chunkSize = opts.chunkSize || 4096;
+        this.chunk = new Float32Array(this.chunkSize);
+        this.filled = 0;
+
+        // MessagePort to the decoder worker, handed over by MilcodecPipeline
+        this.target = null;
+
+        this.port.onmessage = (e) => {
+            if (e.data.type === 'connect') {
+                this.target = e.ports[0];
+            } else if (e.data.type === 'disconnect') {
+                if (this.target) this.target.close();
+                this.target = null;
+                this.filled = 0;
+            }
+        };
+    }
+
+    process(inputs) {
+        const input = inputs[0] && inputs[0][0];
+        if (!input || !this.target) return true;
+
+        let offset = 0;
+        while (offset < input.length) {
+            const count = Math.min(input.length - offset, this.chunkSize - this.filled);
+            this.chunk.set(input.subarray(offset, offset + count), this.filled);
+            this.filled += count;
+            offset += count;
+
+            if (this.filled === this.chunkSize) {
+                // Transfer instead of copy; start a fresh chunk
+                this.target.postMessage(this.chunk, [this.chunk.buffer]);
+                this.chunk = new Float32Array(this.chunkSize);
+                this.filled = 0;
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('milcodec-capture', MilcodecCaptureProcessor);
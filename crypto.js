@@ -1,6 +1,8 @@
 /**
  * MILCODEC Crypto Module - NaCl Compatible
  * Uses TweetNaCl secretbox (XSalsa20-Poly1305)
+ * Sender authentication: Ed25519 detached signature over TYPE + JSON
+ * Long messages arrive as encrypted fragments (see reassembly.js)
  */
 
 const MilcodecCrypto = {
@@ -10,28 +12,180 @@ const MilcodecCrypto = {
         54, 55, 56, 57, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 48, 49
     ]), // "01234567890123456789012345678901"
 
-    key: null,
+    // Channel keys: name -> Uint8Array(32); decrypt tries each in turn.
+    // DEFAULT_KEY is only used while no channel key has been configured:
+    // keys withdrawn with withdrawKeys() (vault locked) leave none to try.
+    keys: {},
+    keysWithdrawn: false,
+    KEY_LENGTH: 32,
+
+    // Plaintext type byte marking one fragment of a longer message
+    FRAGMENT_TYPE: 0xF0,
+
+    // Trusted sender Ed25519 public keys: name -> Uint8Array(32)
+    senders: {},
+    PUBLIC_KEY_LENGTH: 32, // nacl.sign.publicKeyLength, for pages without nacl
+
+    // This receiver's own Ed25519 key pair, used to sign ACKs
+    identity: null,
+
+    // What to do with unsigned or badly signed packets:
+    // 'FLAG' delivers them marked unverified, 'DROP' rejects them
+    signaturePolicy: 'FLAG',
 
     init(keyHex = null) {
-        if (keyHex) {
-            this.key = this.hexToBytes(keyHex);
-        } else {
-            this.key = this.DEFAULT_KEY;
-        }
-        console.log('[CRYPTO] Initialized with key');
+        this.keys = {};
+        this.keysWithdrawn = false;
+        if (keyHex) this.addKey('default', keyHex);
+        console.log('[CRYPTO] Initialized');
     },
 
-    hexToBytes(hex) {
-        const bytes = new Uint8Array(hex.length / 2);
-        for (let i = 0; i < hex.length; i += 2) {
-            bytes[i / 2] = parseInt(hex.substr(i, 2), 16);
+    // Strict: surrounding whitespace is ignored, anything else must be hex digits
+    hexToBytes(hex, expectedLength = null) {
+        const clean = String(hex).trim();
+        if (clean.length === 0 || clean.length % 2 !== 0) {
+            throw new Error('Hex string must have an even, non-zero length');
+        }
+        if (!/^[0-9a-fA-F]+$/.test(clean)) {
+            throw new Error('Hex string contains non-hex characters');
+        }
+
+        const bytes = new Uint8Array(clean.length / 2);
+        for (let i = 0; i < clean.length; i += 2) {
+            bytes[i / 2] = parseInt(clean.substr(i, 2), 16);
+        }
+
+        if (expectedLength !== null && bytes.length !== expectedLength) {
+            throw new Error(`Expected ${expectedLength} bytes, got ${bytes.length}`);
         }
         return bytes;
     },
 
-    decrypt(encryptedBytes) {
-        if (!this.key) this.init();
+    bytesToHex(bytes) {
+        return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    addKey(name, keyHex) {
+        this.keys[name] = this.hexToBytes(keyHex, this.KEY_LENGTH);
+        this.keysWithdrawn = false;
+        console.log(`[CRYPTO] Channel key added: ${name}`);
+    },
+
+    removeKey(name) {
+        delete this.keys[name];
+    },
+
+    // Configured set is now empty: DEFAULT_KEY applies again
+    clearKeys() {
+        this.keys = {};
+        this.keysWithdrawn = false;
+    },
+
+    // Keys exist but are not available (vault locked): nothing decrypts
+    withdrawKeys() {
+        this.keys = {};
+        this.keysWithdrawn = true;
+    },
+
+    addSender(name, publicKeyHex) {
+        const publicKey = this.hexToBytes(publicKeyHex, this.PUBLIC_KEY_LENGTH);
+        this.senders[name] = publicKey;
+        console.log(`[CRYPTO] Trusted sender added: ${name}`);
+    },
+
+    removeSender(name) {
+        delete this.senders[name];
+    },
+
+    clearSenders() {
+        this.senders = {};
+    },
+
+    setSignaturePolicy(policy) {
+        if (policy !== 'FLAG' && policy !== 'DROP') {
+            throw new Error(`Unknown signature policy: ${policy}`);
+        }
+        this.signaturePolicy = policy;
+    },
+
+    // secretKeyHex: 64-byte Ed25519 secret key (seed + public key)
+    setIdentity(secretKeyHex) {
+        const secretKey = this.hexToBytes(secretKeyHex, nacl.sign.secretKeyLength);
+        this.identity = nacl.sign.keyPair.fromSecretKey(secretKey);
+        console.log(`[CRYPTO] Identity set: ${this.bytesToHex(this.identity.publicKey)}`);
+    },
+
+    generateIdentity() {
+        const pair = nacl.sign.keyPair();
+        return { secretKeyHex: this.bytesToHex(pair.secretKey), publicKeyHex: this.bytesToHex(pair.publicKey) };
+    },
+
+    // Returns { signature: 'VALID' | 'INVALID' | 'UNSIGNED', sender }
+    verifySignature(msgType, signature, jsonBytes) {
+        // Senders without a signing key leave the field zeroed
+        if (signature.every(b => b === 0)) {
+            return { signature: 'UNSIGNED', sender: null };
+        }
+
+        const signed = new Uint8Array(1 + jsonBytes.length);
+        signed[0] = msgType;
+        signed.set(jsonBytes, 1);
+
+        for (const [name, publicKey] of Object.entries(this.senders)) {
+            if (nacl.sign.detached.verify(signed, signature, publicKey)) {
+                return { signature: 'VALID', sender: name };
+            }
+        }
 
+        return { signature: 'INVALID', sender: null };
+    },
+
+    // Returns [name, key] pairs to try
+    candidateKeys() {
+        const entries = Object.entries(this.keys);
+        if (entries.length > 0 || this.keysWithdrawn) return entries;
+        return [['DEFAULT', this.DEFAULT_KEY]];
+    },
+
+    // Message plaintext as senders build it: type + signature (zeroed without identity) + JSON
+    buildMessage(typeCode, data) {
+        const jsonBytes = new TextEncoder().encode(JSON.stringify(data));
+        const signed = new Uint8Array(1 + jsonBytes.length);
+        signed[0] = typeCode;
+        signed.set(jsonBytes, 1);
+
+        const plaintext = new Uint8Array(65 + jsonBytes.length);
+        plaintext[0] = typeCode;
+        if (this.identity) plaintext.set(nacl.sign.detached(signed, this.identity.secretKey), 1);
+        plaintext.set(jsonBytes, 65);
+        return plaintext;
+    },
+
+    // -> nonce + secretbox under the named channel key (DEFAULT when none are loaded)
+    encrypt(plaintext, keyName) {
+        const key = this.keys[keyName] || (keyName === 'DEFAULT' && !this.keysWithdrawn ? this.DEFAULT_KEY : null);
+        if (!key) throw new Error(`No channel key named ${keyName}`);
+
+        const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+        const box = nacl.secretbox(plaintext, nonce, key);
+        const packet = new Uint8Array(nonce.length + box.length);
+        packet.set(nonce);
+        packet.set(box, nonce.length);
+        return packet;
+    },
+
+    // ACK/NACK for a received message, on the channel it arrived on
+    buildAck(ref, keyName, ok = true) {
+        // Kept minimal: every byte is 100 ms of air time at 20 baud with FEC
+        const data = { ref, t: Math.floor(Date.now() / 1000) };
+        if (!ok) data.ok = false;
+        return this.encrypt(this.buildMessage(MilcodecMessageTypes.codeOf('ACK'), data), keyName);
+    },
+
+    decrypt(encryptedBytes) {
+        if (typeof nacl === 'undefined') {
+            return { content: 'Crypto library (tweetnacl) not loaded', status: 'ERROR', priority: 'ROUTINE' };
+        }
         try {
             // NaCl secretbox format: 24-byte nonce + ciphertext
             if (encryptedBytes.length < 24 + 16) {
@@ -41,30 +195,102 @@ const MilcodecCrypto = {
             const nonce = encryptedBytes.slice(0, 24);
             const ciphertext = encryptedBytes.slice(24);
 
-            // Decrypt using TweetNaCl
-            const plaintext = nacl.secretbox.open(ciphertext, nonce, this.key);
+            const candidates = this.candidateKeys();
+            if (candidates.length === 0) {
+                return { content: 'Channel keys withdrawn (vault locked)', status: 'ERROR', priority: 'ROUTINE' };
+            }
+
+            // Decrypt using TweetNaCl, trying each channel key
+            let plaintext = null;
+            let keyName = null;
+            for (const [name, key] of candidates) {
+                plaintext = nacl.secretbox.open(ciphertext, nonce, key);
+                if (plaintext) {
+                    keyName = name;
+                    break;
+                }
+            }
 
             if (!plaintext) {
-                return { content: 'Decryption failed', status: 'ERROR', priority: 'ROUTINE' };
+                return { content: 'Decryption failed (no matching key)', status: 'ERROR', priority: 'ROUTINE' };
+            }
+
+            if (plaintext[0] === this.FRAGMENT_TYPE) {
+                return this.parseFragment(plaintext, keyName);
+            }
+
+            return this.parseMessage(plaintext, keyName, this.bytesToHex(nonce));
+
+        } catch (e) {
+            console.error('[CRYPTO] Decrypt error:', e);
+            return { content: 'Error: ' + e.message, status: 'ERROR', priority: 'ROUTINE' };
+        }
+    },
+
+    // Fragment plaintext: 0xF0 + message ID (4) + index (1) + count (1) + data.
+    // Fragments are unsigned; the signature sits in the reassembled message.
+    parseFragment(plaintext, keyName) {
+        if (plaintext.length < 7) {
+            return { content: 'Truncated fragment', status: 'ERROR', priority: 'ROUTINE' };
+        }
+
+        const id = this.bytesToHex(plaintext.slice(1, 5));
+        const index = plaintext[5];
+        const count = plaintext[6];
+        if (count === 0 || index >= count) {
+            return { content: `Bad fragment ${index}/${count}`, status: 'ERROR', priority: 'ROUTINE' };
+        }
+
+        return {
+            status: 'FRAGMENT',
+            fragment: { id: `${keyName}:${id}`, index, count, data: plaintext.slice(7) },
+            keyName
+        };
+    },
+
+    // Message plaintext (one packet, or reassembled fragments): 1 byte type + 64 bytes signature + JSON
+    parseMessage(plaintext, keyName, nonce) {
+        try {
+            if (plaintext.length < 65) {
+                return { content: 'Truncated packet', status: 'ERROR', priority: 'ROUTINE' };
             }
 
-            // Parse packet: 1 byte type + 64 bytes signature + JSON
             const msgType = plaintext[0];
+            const signature = plaintext.slice(1, 65);
             const jsonBytes = plaintext.slice(65);
 
+            const auth = this.verifySignature(msgType, signature, jsonBytes);
+            if (auth.signature !== 'VALID') {
+                console.log(`[CRYPTO] Signature ${auth.signature}`);
+                if (this.signaturePolicy === 'DROP') {
+                    return {
+                        content: auth.signature === 'UNSIGNED' ? 'Unsigned packet dropped' : 'Bad signature, packet dropped',
+                        status: 'REJECTED',
+                        priority: 'ROUTINE',
+                        signature: auth.signature
+                    };
+                }
+            }
+
             const jsonStr = new TextDecoder().decode(jsonBytes);
             const data = JSON.parse(jsonStr);
 
             return {
-                content: data.m || '',
+                // Replay bookkeeping: 'id' and 't' (Unix seconds) are optional sender fields
+                nonce,
+                messageId: data.id !== undefined ? String(data.id) : this.bytesToHex(nacl.hash(plaintext).slice(0, 16)),
+                sentAt: typeof data.t === 'number' ? data.t * 1000 : null,
+                ...MilcodecMessageTypes.parse(msgType, data),
                 priority: data.p || 'ROUTINE',
-                msgType: msgType === 1 ? 'TEXT' : 'OTHER',
                 status: 'OK',
-                verified: false
+                verified: auth.signature === 'VALID',
+                signature: auth.signature,
+                sender: auth.sender,
+                keyName
             };
 
         } catch (e) {
-            console.error('[CRYPTO] Decrypt error:', e);
+            console.error('[CRYPTO] Parse error:', e);
             return { content: 'Error: ' + e.message, status: 'ERROR', priority: 'ROUTINE' };
         }
     }
@@ -0,0 +1,86 @@
+/**
+ * MILCODEC Local Database
+ * Small promise wrapper around IndexedDB for the receiver's persistent stores.
+ * Records use out-of-line keys: put(store, key, value).
+ */
+
+const MilcodecDB = {
+    NAME: 'milcodec',
+    VERSION: 4,
+    STORES: ['meta', 'keys', 'senders', 'replay', 'messages'],
+
+    db: null,
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(this.NAME, this.VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                for (const name of this.STORES) {
+                    if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+                }
+            };
+            req.onsuccess = () => {
+                this.db = req.result;
+                resolve(this.db);
+            };
+            req.onerror = () => reject(req.error);
+        });
+    },
+
+    // Runs fn(store) in a transaction and resolves with its request's result once committed
+    async transact(storeName, mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const req = fn(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(req ? req.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    get(storeName, key) {
+        return this.transact(storeName, 'readonly', (store) => store.get(key));
+    },
+
+    getAll(storeName) {
+        return this.transact(storeName, 'readonly', (store) => store.getAll());
+    },
+
+    getAllKeys(storeName) {
+        return this.transact(storeName, 'readonly', (store) => store.getAllKeys());
+    },
+
+    // -> [[key, value], ...] read in one transaction
+    async entries(storeName) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const out = [];
+            const tx = db.transaction(storeName, 'readonly');
+            const req = tx.objectStore(storeName).openCursor();
+            req.onsuccess = () => {
+                const cursor = req.result;
+                if (!cursor) return;
+                out.push([cursor.key, cursor.value]);
+                cursor.continue();
+            };
+            tx.oncomplete = () => resolve(out);
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    put(storeName, key, value) {
+        return this.transact(storeName, 'readwrite', (store) => store.put(value, key));
+    },
+
+    delete(storeName, key) {
+        return this.transact(storeName, 'readwrite', (store) => store.delete(key));
+    },
+
+    clear(storeName) {
+        return this.transact(storeName, 'readwrite', (store) => store.clear());
+    }
+};
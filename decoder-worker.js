@@ -0,0 +1,430 @@
+/**
+ * MILCODEC Decoder Worker
+ * Hosts the streaming decoder, FEC and crypto off the main thread.
+ * Audio chunks arrive from the capture worklet over a MessagePort, or as
+ * 'audio' messages from sources that are not live (files, streams);
+ * decoded messages and status go back to the page as messages.
+ */
+
+// A missing library must not take the worker down with it: the self-check reports it
+try {
+    importScripts('vendor/nacl-fast.min.js');
+} catch (e) {
+    // nacl stays undefined
+}
+
+importScripts(
+    'selfcheck.js',
+    'fec.js',
+    'decoder.js',
+    'messagetypes.js',
+    'crypto.js',
+    'db.js',
+    'replay.js',
+    'reassembly.js',
+    'wav.js',
+    'blackbox.js'
+);
+
+// Decoder and crypto log through console; forward it to the page
+const forwardLog = (...args) => self.postMessage({ type: 'log', text: args.join(' ') });
+console.log = forwardLog;
+console.error = forwardLog;
+
+let decoders = []; // One stream decoder per profile being received
+let sampleRate = null;
+let audioPort = null;
+let muted = false; // While our own ACK is on the air
+let receiveMode = { profile: MILCODEC.PROFILE, autoScan: false }; // autoScan: every enabled profile
+let noiseFloors = null; // Calibrated ambient floors: { sampleRate, values: { profile: floor } }
+let calibration = null; // Ambient recording in progress: { msg, chunks, remaining }
+let spectrumEnabled = false; // Post raw/filtered spectra for the visualizer
+let lockedState = null; // Last posted { state, profile }
+let selfCheck = null; // { ok, failures } once the crypto self-check has run
+let blackBox = null; // Raw capture ring, see MilcodecBlackBox
+let blackBoxOptions = {}; // Settings carried into the next start's black box
+let capturing = false; // Between 'start' and 'reset'
+let vaultLock = null; // { withdrawKeys } to apply when the running capture stops, see 'lockVault'
+let checkFreshness = true; // Sender timestamps checked against the clock; off for recordings, see 'start'
+
+// No decoding until the crypto library is proven good
+MilcodecSelfCheck.run().then((result) => {
+    selfCheck = result;
+    if (!result.ok) console.error(`[SELFCHECK] Failed: ${result.failures.join('; ')}`);
+    self.postMessage({ type: 'selfCheck', result });
+});
+
+const postSpectrum = (spectrum) => self.postMessage({ type: 'spectrum', spectrum });
+
+const EXPIRY_CHECK_MS = 10000;
+setInterval(() => {
+    for (const { id } of MilcodecReassembler.expire()) self.postMessage({ type: 'fragmentExpired', id });
+}, EXPIRY_CHECK_MS);
+
+// Packets decoded before the stored replay cache is in memory wait for it:
+// checked against an empty cache, a replay just after page load passes as NEW
+let replayLoaded = false;
+const waitingPackets = []; // [payload, info] in decode order
+const replayReady = MilcodecReplayGuard.load()
+    .catch((e) => console.error('[REPLAY] Load failed:', e.message))
+    .finally(() => {
+        replayLoaded = true;
+        for (const [payload, info] of waitingPackets.splice(0)) handlePacket(payload, info);
+    });
+
+const REPLAY_REASONS = {
+    REPLAY: 'Replayed message (first heard earlier)',
+    STALE: 'Stale message (sender timestamp outside freshness window)'
+};
+
+// Decrypt, reassemble fragments, then sort into new / retransmitted duplicate / replayed.
+// The black box learns how the packet ended.
+function handlePacket(payload, info) {
+    if (!replayLoaded) {
+        waitingPackets.push([payload, info]);
+        return;
+    }
+    const outcome = handlePayload(payload, info);
+    if (blackBox) blackBox.outcome(info.profile, { ...outcome, diagnostics: summarize(info.diagnostics) });
+}
+
+// Capture metadata: diagnostics without the per-bit confidences
+function summarize({ bitConfidence, ...diagnostics }) {
+    return diagnostics;
+}
+
+// -> { status, detail }
+function handlePayload(payload, info) {
+    // Signal report for every decoded packet, whether or not it decrypts
+    self.postMessage({ type: 'packet', info });
+
+    let result = MilcodecCrypto.decrypt(payload);
+
+    if (result.status === 'FRAGMENT') {
+        const progress = MilcodecReassembler.add(result.fragment, payload);
+        if (progress.evicted) self.postMessage({ type: 'fragmentExpired', id: progress.evicted });
+        self.postMessage({ type: 'fragment', progress: { id: progress.id, received: progress.received, count: progress.count } });
+        if (!progress.plaintext) return { status: 'FRAGMENT', detail: `${progress.received}/${progress.count} of ${progress.id}` };
+
+        // The fragment set's ID stands in for the nonce in the replay cache
+        result = MilcodecCrypto.parseMessage(progress.plaintext, result.keyName, `fragments:${progress.id}`);
+        payload = progress.packets;
+        info = { ...info, fragments: progress.count };
+    }
+
+    if (result.status !== 'OK') {
+        self.postMessage({ type: 'rejected', result, info });
+        return { status: 'REJECTED', detail: result.content };
+    }
+
+    const { verdict, firstSeen } = MilcodecReplayGuard.check(result, Date.now(), { freshness: checkFreshness });
+    switch (verdict) {
+        case 'NEW':
+            self.postMessage({ type: 'message', result, info, payload });
+            return { status: 'MESSAGE', detail: result.messageId };
+        case 'DUPLICATE':
+            self.postMessage({ type: 'duplicate', result, info });
+            return { status: 'DUPLICATE', detail: result.messageId };
+        default:
+            console.log(`[REPLAY] ${verdict} ${result.messageId}`);
+            self.postMessage({
+                type: 'rejected',
+                result: { ...result, status: 'REJECTED', content: REPLAY_REASONS[verdict], replay: verdict, firstSeen },
+                info
+            });
+            return { status: 'REJECTED', detail: REPLAY_REASONS[verdict] };
+    }
+}
+
+// (Re)built on every start and mode change, since timing depends on the capture rate.
+// With autoScan every enabled profile decodes the same audio side by side.
+// A calibration only carries over at the rate it was measured at.
+function createDecoders() {
+    const names = receiveMode.autoScan ? MILCODEC.enabledProfiles() : [receiveMode.profile];
+    decoders = [];
+    lockedState = null;
+    if (blackBox) blackBox.reset(); // New decoders count samples from 0
+
+    for (const name of names) {
+        let codec;
+        try {
+            codec = MILCODEC.withProfile(name, sampleRate);
+        } catch (e) {
+            if (!receiveMode.autoScan) throw e;
+            console.log(`[DECODER] Skipping ${name}: ${e.message}`);
+            continue;
+        }
+        const stream = new MilcodecStreamDecoder(
+            handlePacket,
+            () => postState(),
+            (rejection) => {
+                self.postMessage({ type: 'dropped', rejection });
+                if (blackBox) blackBox.outcome(rejection.profile, { status: 'DROPPED', detail: `${rejection.reason}: ${rejection.detail}` });
+            },
+            {
+                noiseFloor: calibratedFloor(name),
+                codec,
+                onPreamble: (preamble) => {
+                    self.postMessage({ type: 'preamble', preamble });
+                    if (blackBox) blackBox.preamble(preamble);
+                },
+                onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+            }
+        );
+        decoders.push(stream);
+    }
+    if (decoders.length === 0) throw new Error(`No usable profile at ${sampleRate} Hz`);
+
+    setSpectrum(spectrumEnabled);
+    console.log(`[DECODER] Receiving ${decoders.map((d) => d.codec.PROFILE).join(', ')}`);
+}
+
+function calibratedFloor(profile) {
+    if (!noiseFloors || noiseFloors.sampleRate !== sampleRate) return null;
+    return noiseFloors.values[profile] ?? null;
+}
+
+// Spectra from the first decoder's front end (filtered to its profile's band)
+function setSpectrum(enabled) {
+    spectrumEnabled = enabled;
+    decoders.forEach((d, i) => {
+        d.frontEnd.onSpectrum = enabled && i === 0 ? postSpectrum : null;
+    });
+}
+
+// One state for the page: the profile that locked, or HUNTING while none has
+function postState() {
+    const locked = decoders.find((d) => d.state !== 'HUNTING');
+    const next = locked
+        ? { state: locked.state, profile: locked.codec.PROFILE }
+        : { state: 'HUNTING', profile: null };
+    if (lockedState && lockedState.state === next.state && lockedState.profile === next.profile) return;
+    lockedState = next;
+    self.postMessage({ type: 'state', ...next });
+}
+
+// Capture-worklet-sized blocks, so the black box never runs far ahead of the
+// decoders: a preamble's lead-in must still be in its ring when they find it
+const BLOCK = 4096;
+
+function receive(chunk) {
+    if (decoders.length === 0 || muted) return;
+    if (calibration) calibrate(chunk);
+    for (let i = 0; i < chunk.length; i += BLOCK) {
+        const block = chunk.subarray(i, i + BLOCK);
+        if (blackBox) blackBox.push(block);
+        for (const d of decoders) d.push(block);
+    }
+}
+
+// Vault locked: drop the trusted senders, and the channel keys if any were configured
+function applyVaultLock() {
+    if (vaultLock.withdrawKeys) MilcodecCrypto.withdrawKeys();
+    MilcodecCrypto.clearSenders();
+    vaultLock = null;
+    console.log('[CRYPTO] Vault locked: keys and senders withdrawn');
+}
+
+// Black box captures go to the page as WAV files
+function postCapture(capture) {
+    self.postMessage({ type: 'capture', capture }, [capture.wav]);
+}
+
+// Collect ambient audio for a 'calibrate' request, then seed the detector with its floor
+function calibrate(chunk) {
+    calibration.chunks.push(chunk.slice());
+    calibration.remaining -= chunk.length;
+    if (calibration.remaining > 0) return;
+
+    const { msg, chunks } = calibration;
+    calibration = null;
+
+    const audio = new Float32Array(chunks.reduce((n, c) => n + c.length, 0));
+    let offset = 0;
+    for (const c of chunks) {
+        audio.set(c, offset);
+        offset += c.length;
+    }
+
+    // The floor depends on each profile's band and symbol length
+    const values = {};
+    for (const d of decoders) {
+        const value = d.codec.measureNoiseFloor(audio);
+        values[d.codec.PROFILE] = value;
+        d.setNoiseFloor(value);
+        console.log(`[DECODER] Calibrated ${d.codec.PROFILE} noise floor ${value.toFixed(1)} at ${sampleRate} Hz`);
+    }
+    // Keep floors of profiles not running now, measured earlier at this rate
+    const previous = noiseFloors && noiseFloors.sampleRate === sampleRate ? noiseFloors.values : {};
+    noiseFloors = { sampleRate, values: { ...previous, ...values } };
+    reply(msg, { noiseFloors: values });
+}
+
+// Codec for an ACK: the given profile, else the one receiving, at the capture rate
+function ackCodec(profile) {
+    const name = profile || (decoders.length === 1 ? decoders[0].codec.PROFILE : receiveMode.profile);
+    return MILCODEC.withProfile(name, sampleRate || MILCODEC.FS);
+}
+
+// Answer a request made with MilcodecPipeline.call()
+function reply(msg, result, transfer = []) {
+    self.postMessage({ type: 'reply', requestId: msg.requestId, result }, transfer);
+}
+
+self.onmessage = (e) => {
+    const msg = e.data;
+
+    try {
+        switch (msg.type) {
+            case 'start':
+                if (!selfCheck || !selfCheck.ok) throw new Error('Crypto self-check has not passed; not listening');
+                decoders = []; // Stays empty if the rate is unusable
+                sampleRate = msg.sampleRate;
+                checkFreshness = msg.freshness !== false;
+                blackBox = new MilcodecBlackBox(sampleRate, blackBoxOptions);
+                blackBox.onCapture = postCapture;
+                createDecoders();
+                capturing = true;
+                if (msg.requestId !== undefined) reply(msg, null);
+                break;
+            case 'setReceiveMode':
+                if (msg.profile !== undefined && !MILCODEC.PROFILES[msg.profile]) {
+                    throw new Error(`Unknown profile: ${msg.profile}`);
+                }
+                for (const [name, enabled] of Object.entries(msg.enabled || {})) {
+                    if (!MILCODEC.PROFILES[name]) throw new Error(`Unknown profile: ${name}`);
+                    MILCODEC.PROFILES[name].enabled = enabled;
+                }
+                receiveMode = {
+                    profile: msg.profile ?? receiveMode.profile,
+                    autoScan: msg.autoScan ?? receiveMode.autoScan
+                };
+                if (sampleRate && decoders.length > 0) createDecoders();
+                break;
+            case 'connect':
+                if (audioPort) audioPort.close();
+                audioPort = e.ports[0];
+                audioPort.onmessage = (ev) => receive(ev.data);
+                break;
+            case 'audio':
+                receive(msg.samples);
+                break;
+            case 'drain':
+                // End of a finite input: a second of silence lets a packet that
+                // ends with the audio finish its last symbols
+                if (decoders.length > 0) receive(new Float32Array(sampleRate));
+                replayReady.then(() => {
+                    if (blackBox) blackBox.flush();
+                    reply(msg, null);
+                });
+                break;
+            case 'reset':
+                capturing = false;
+                if (vaultLock) applyVaultLock();
+                for (const d of decoders) d.reset();
+                if (blackBox) blackBox.reset();
+                if (calibration) {
+                    self.postMessage({ type: 'reply', requestId: calibration.msg.requestId, error: 'Capture stopped' });
+                    calibration = null;
+                }
+                break;
+            case 'calibrate':
+                if (decoders.length === 0) throw new Error('Start listening before calibrating');
+                if (calibration) throw new Error('Calibration already running');
+                calibration = { msg, chunks: [], remaining: Math.round(msg.seconds * sampleRate) };
+                break;
+            case 'setFilter':
+                MILCODEC.configureFilter(msg.options);
+                for (const d of decoders) d.setFilter();
+                break;
+            case 'spectrum':
+                setSpectrum(msg.enabled);
+                break;
+            case 'clearCalibration':
+                noiseFloors = null;
+                for (const d of decoders) d.setNoiseFloor(null);
+                break;
+            case 'setKey':
+                MilcodecCrypto.init(msg.keyHex);
+                break;
+            case 'addKey':
+                MilcodecCrypto.addKey(msg.name, msg.keyHex);
+                break;
+            case 'removeKey':
+                MilcodecCrypto.removeKey(msg.name);
+                break;
+            case 'clearKeys':
+                MilcodecCrypto.clearKeys();
+                break;
+            case 'withdrawKeys':
+                MilcodecCrypto.withdrawKeys();
+                break;
+            case 'lockVault':
+                // A capture already running keeps what it started with; its
+                // messages wait on the page for the next unlock
+                vaultLock = { withdrawKeys: msg.withdrawKeys };
+                if (!capturing) applyVaultLock();
+                break;
+            case 'unlockVault':
+                vaultLock = null;
+                break;
+            case 'addSender':
+                MilcodecCrypto.addSender(msg.name, msg.publicKeyHex);
+                break;
+            case 'removeSender':
+                MilcodecCrypto.removeSender(msg.name);
+                break;
+            case 'clearSenders':
+                MilcodecCrypto.clearSenders();
+                break;
+            case 'setSignaturePolicy':
+                MilcodecCrypto.setSignaturePolicy(msg.policy);
+                break;
+            case 'setIdentity':
+                MilcodecCrypto.setIdentity(msg.secretKeyHex);
+                break;
+            case 'clearIdentity':
+                MilcodecCrypto.identity = null;
+                break;
+            case 'generateIdentity':
+                reply(msg, MilcodecCrypto.generateIdentity());
+                break;
+            case 'buildAck': {
+                if (!MilcodecCrypto.identity) throw new Error('No receiver identity loaded; ACKs must be signed');
+                const codec = ackCodec(msg.profile);
+                const audio = codec.modulate(MilcodecCrypto.buildAck(msg.ref, msg.keyName, msg.ok));
+                reply(msg, { audio, sampleRate: codec.FS }, [audio.buffer]);
+                break;
+            }
+            case 'mute':
+                muted = msg.muted;
+                // Drop anything half-heard around our own transmission
+                if (!muted) {
+                    for (const d of decoders) d.reset();
+                    if (blackBox) blackBox.reset();
+                }
+                break;
+            case 'configureBlackBox':
+                blackBoxOptions = { ...blackBoxOptions, ...MilcodecBlackBox.check(msg.options) };
+                if (blackBox) blackBox.configure(msg.options);
+                break;
+            case 'saveCapture': {
+                if (!blackBox) throw new Error('Nothing recorded yet; start listening first');
+                const capture = blackBox.save();
+                reply(msg, capture, [capture.wav]);
+                break;
+            }
+            case 'clearReplayCache':
+                MilcodecReplayGuard.clear().catch((err) => self.postMessage({ type: 'error', message: err.message }));
+                break;
+            default:
+                throw new Error(`Unknown worker message: ${msg.type}`);
+        }
+    } catch (err) {
+        if (msg.requestId !== undefined) {
+            self.postMessage({ type: 'reply', requestId: msg.requestId, error: err.message });
+        } else {
+            self.postMessage({ type: 'error', message: err.message });
+        }
+    }
+};
@@ -3,7 +3,13 @@
  * Bit 1: Up-Chirp (14k -> 17k)
  * Bit 0: Down-Chirp (17k -> 14k)
  * Symbol Rate: 20 baud (50ms)
- * Protocol: PREAMBLE(U-U-D-D) + SYNC(16) + LEN(16) + PAYLOAD(N*8 * 3)
+ * Protocol: PREAMBLE(U-U-D-D) + SYNC(16) + HEADER + PAYLOAD
+ *   v1: HEADER = LEN(16), PAYLOAD = N*8 bits repeated 3x
+ *   v2: HEADER = CONV(LEN(16) + CRC8(8)), PAYLOAD = INTERLEAVE(CONV(N*8 bits)), see fec.js
+ * The sync word selects the version.
+ * Band, symbol rate and chirp shape above are the STANDARD profile; see PROFILES.
+ * MILCODEC.modulate() builds the same format for transmitting (ACKs).
+ * Input passes MilcodecFrontEnd (band-pass + adaptive notches) before correlation.
  */
 
 const MILCODEC = {
@@ -12,33 +18,100 @@ const MILCODEC = {
     F_END: 17000,
     BIT_DURATION: 0.050, // 50ms
     SAMPLES_PER_BIT: 2205, // 44100 * 0.05
+    CHIRP: 'linear', // Sweep shape: 'linear' or 'exponential'
+    PROFILE: 'STANDARD',
 
-    // Sync Word: 1010 1010 1100 1100
+    // Named modulation profiles. The fields above are STANDARD; withProfile()
+    // gives a codec for another, decodeAudio() takes { profile } or { autoScan }.
+    // Add your own here; autoScan tries every enabled one.
+    PROFILES: {
+        STANDARD: { label: '14-17 kHz, 20 baud', fStart: 14000, fEnd: 17000, bitDuration: 0.050, chirp: 'linear', enabled: true },
+        COVERT: { label: 'Ultrasonic 18-20 kHz, 20 baud', fStart: 18000, fEnd: 20000, bitDuration: 0.050, chirp: 'linear', enabled: true },
+        FAST: { label: '14-17 kHz, 100 baud, short range', fStart: 14000, fEnd: 17000, bitDuration: 0.010, chirp: 'linear', enabled: true },
+        ROBUST: { label: '14-17 kHz, 5 baud, long range', fStart: 14000, fEnd: 17000, bitDuration: 0.200, chirp: 'linear', enabled: true }
+    },
+
+    // Sync Word v1: 1010 1010 1100 1100
     SYNC_BITS: [1, 0, 1, 0, 1, 0, 1, 0, 1, 1, 0, 0, 1, 1, 0, 0],
+    // Sync Word v2: 0011 1101 0010 0010 (Hamming distance 11 from v1)
+    SYNC_BITS_V2: [0, 0, 1, 1, 1, 1, 0, 1, 0, 0, 1, 0, 0, 0, 1, 0],
 
     // Templates
     upChirp: null,
     downChirp: null,
+    templateSpectra: {}, // FFT size -> conjugate-ready template spectra
 
     generateTemplates() {
         const len = this.SAMPLES_PER_BIT;
+        this.templateSpectra = {};
         this.upChirp = new Float32Array(len);
         this.downChirp = new Float32Array(len);
 
         for (let i = 0; i < len; i++) {
             const t = i / this.FS; // Time in seconds
-            // Linear Chirp: f(t) = f0 + (f1-f0)/T * t
-            // Phase(t) = 2*pi * Integral(f(t)) = 2*pi * (f0*t + (f1-f0)/(2T) * t^2)
+            this.upChirp[i] = Math.cos(this.chirpPhase(t, this.F_START, this.F_END));
+            // Down Chirp: same sweep from F_END back to F_START
+            this.downChirp[i] = Math.cos(this.chirpPhase(t, this.F_END, this.F_START));
+        }
+    },
+
+    // Phase at time t of a chirp sweeping f0 -> f1 over one symbol
+    chirpPhase(t, f0, f1) {
+        const T = this.BIT_DURATION;
+        if (this.CHIRP === 'exponential') {
+            // f(t) = f0 * (f1/f0)^(t/T)
+            // Phase(t) = 2*pi * f0*T/ln(f1/f0) * ((f1/f0)^(t/T) - 1)
+            const ratio = f1 / f0;
+            return 2 * Math.PI * f0 * T / Math.log(ratio) * (Math.pow(ratio, t / T) - 1);
+        }
+        // Linear Chirp: f(t) = f0 + (f1-f0)/T * t
+        // Phase(t) = 2*pi * Integral(f(t)) = 2*pi * (f0*t + (f1-f0)/(2T) * t^2)
+        return 2 * Math.PI * (f0 * t + (f1 - f0) / (2 * T) * t * t);
+    },
 
-            const k = (this.F_END - this.F_START) / this.BIT_DURATION;
-            const phiUp = 2 * Math.PI * (this.F_START * t + (k / 2) * t * t);
-            this.upChirp[i] = Math.cos(phiUp);
+    // Independent codec for a named profile at sample rate fs. It inherits
+    // MILCODEC's methods and settings but keeps its own band, timing and templates.
+    withProfile(name, fs = this.FS) {
+        const profile = this.PROFILES[name];
+        if (!profile) throw new Error(`Unknown profile: ${name}`);
 
-            // Down Chirp: f0=17k, f1=14k
-            const kDown = (this.F_START - this.F_END) / this.BIT_DURATION;
-            const phiDown = 2 * Math.PI * (this.F_END * t + (kDown / 2) * t * t);
-            this.downChirp[i] = Math.cos(phiDown);
+        const codec = Object.create(MILCODEC);
+        Object.assign(codec, {
+            PROFILE: name,
+            F_START: profile.fStart,
+            F_END: profile.fEnd,
+            BIT_DURATION: profile.bitDuration,
+            CHIRP: profile.chirp || 'linear',
+            upChirp: null
+        });
+        codec.setSampleRate(fs);
+        return codec;
+    },
+
+    enabledProfiles() {
+        return Object.keys(this.PROFILES).filter((name) => this.PROFILES[name].enabled);
+    },
+
+    // Derive symbol timing and templates from the actual input rate and symbol length.
+    // Correlation scores grow with the template length, so the score floor scales too.
+    setSampleRate(fs) {
+        if (fs / 2 <= this.F_END) {
+            throw new Error(`Sample rate ${fs} Hz cannot carry ${this.F_END} Hz chirps (Nyquist ${fs / 2} Hz)`);
         }
+        if (fs === this.FS && this.upChirp) return;
+
+        const scale = fs / this.BASE_FS;
+        const symbolScale = scale * this.BIT_DURATION / this.BASE_BIT_DURATION;
+        this.FS = fs;
+        this.SAMPLES_PER_BIT = Math.round(fs * this.BIT_DURATION);
+        this.MIN_PEAK_SCORE = this.BASE_PARAMS.MIN_PEAK_SCORE * symbolScale;
+        this.SEARCH_STEP = Math.max(1, Math.round(this.BASE_PARAMS.SEARCH_STEP * scale));
+        this.TIMING_TOLERANCE = Math.round(this.BASE_PARAMS.TIMING_TOLERANCE * symbolScale);
+        this.TRACK_WINDOW = Math.round(this.BASE_PARAMS.TRACK_WINDOW * symbolScale);
+        while (this.FFT_SIZE < 2 * this.SAMPLES_PER_BIT) this.FFT_SIZE <<= 1;
+
+        this.generateTemplates();
+        console.log(`[DECODER] ${this.PROFILE}: sample rate ${fs} Hz, ${this.SAMPLES_PER_BIT} samples/bit`);
     },
 
     correlate(input, template) {
@@ -49,172 +122,1260 @@ const MILCODEC = {
         return sum;
     },
 
-    extractFromAudio(audioData) {
-        if (!this.upChirp) this.generateTemplates();
+    // Detection parameters (sample counts and scores at 44.1 kHz and 50 ms
+    // symbols; setSampleRate() rescales them from BASE_PARAMS)
+    // A perfect match of amplitude 1.0 length 2205 gives score ~1100.
+    MIN_PEAK_SCORE: 1.0, // Absolute floor under the adaptive threshold (digital silence)
+    SEARCH_STEP: 20, // Optimization: Check every 20 samples (~0.45ms)
+    TIMING_TOLERANCE: 400, // samples, preamble spacing
+    TRACK_WINDOW: 40, // ± samples searched around the predicted peak once locked
+    BASE_FS: 44100,
+    BASE_BIT_DURATION: 0.050,
+    BASE_PARAMS: { MIN_PEAK_SCORE: 1.0, SEARCH_STEP: 20, TIMING_TOLERANCE: 400, TRACK_WINDOW: 40 },
 
-        console.log(`[DECODER] Processing ${audioData.length} samples (Dolphin CSS)...`);
+    // Front-end filter chain (see MilcodecFrontEnd); change with configureFilter()
+    FILTER: {
+        bandpass: true,
+        order: 8, // Butterworth order of each band edge (even)
+        margin: 1000, // Hz between the chirp band and the -3 dB edges
+        notch: true,
+        maxNotches: 3,
+        notchQ: 60, // ~250 Hz wide at 15 kHz
+        notchThresholdDb: 15, // Line level above the median in-band level
+        notchMinDb: -80, // dBFS; weaker lines (e.g. rounding residue in digital silence) are ignored
+        persistence: 3 // Analysis blocks a line must persist (or be gone) to add (or drop) a notch
+    },
 
-        const step = 20; // Optimization: Check every 20 samples (~0.45ms)
-        const len = this.upChirp.length;
+    // Preamble detection (see MilcodecPeakDetector)
+    CFAR_FACTOR: 4, // Peaks must exceed this multiple of the running noise floor
+    FLOOR_SECONDS: 2, // Averaging time of the noise floor
+
+    // Timing loop gains (second-order, roughly critically damped: beta ~ alpha^2 / 4)
+    LOOP_ALPHA: 0.4, // Fraction of each timing error applied to the symbol phase
+    LOOP_BETA: 0.04, // Fraction applied to the symbol period estimate
+    LOOP_GAMMA: 0.1, // Fraction applied to the up/down chirp skew
+    MAX_PAYLOAD: 1024, // bytes
+    SYNC_TOLERANCE: 3, // Max bit errors accepted in the sync word
+    WEAK_CONFIDENCE: 0.25, // Symbols below this (vs. the preamble peak) count as weak
+    MAX_SNR_DB: 60, // Cap for the SNR estimate on near-noiseless input
 
-        const correlations = [];
+    // Why a packet candidate was rejected
+    REJECT: {
+        NO_PREAMBLE: 'NO_PREAMBLE',
+        SYNC_MISMATCH: 'SYNC_MISMATCH',
+        HEADER_CRC: 'HEADER_CRC',
+        BAD_LENGTH: 'BAD_LENGTH',
+        TRUNCATED: 'TRUNCATED'
+    },
 
-        // Sliding window correlation
-        for (let i = 0; i < audioData.length - len; i += step) {
-            const window = audioData.subarray(i, i + len);
-            const scoreUp = this.correlate(window, this.upChirp);
-            const scoreDown = this.correlate(window, this.downChirp);
+    FFT_SIZE: 8192, // Overlap-save block size, must exceed the symbol length
 
-            correlations.push({
-                index: i,
-                scoreUp: scoreUp,
-                scoreDown: scoreDown,
-                diff: scoreUp - scoreDown
-            });
+    // FFT twiddle factors, cached per size
+    fftTables: {},
+
+    // In-place iterative radix-2 FFT on split real/imaginary arrays
+    fft(re, im, inverse = false) {
+        const n = re.length;
+
+        if (!this.fftTables[n]) {
+            const cos = new Float64Array(n / 2);
+            const sin = new Float64Array(n / 2);
+            for (let k = 0; k < n / 2; k++) {
+                cos[k] = Math.cos(2 * Math.PI * k / n);
+                sin[k] = Math.sin(2 * Math.PI * k / n);
+            }
+            this.fftTables[n] = { cos, sin };
+        }
+        const { cos, sin } = this.fftTables[n];
+        const sign = inverse ? 1 : -1;
+
+        // Bit-reversal permutation
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                let t = re[i]; re[i] = re[j]; re[j] = t;
+                t = im[i]; im[i] = im[j]; im[j] = t;
+            }
+        }
+
+        // Butterflies
+        for (let size = 2; size <= n; size <<= 1) {
+            const half = size >> 1;
+            const stride = n / size;
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < half; k++) {
+                    const wr = cos[k * stride];
+                    const wi = sign * sin[k * stride];
+                    const a = start + k;
+                    const b = a + half;
+                    const tr = re[b] * wr - im[b] * wi;
+                    const ti = re[b] * wi + im[b] * wr;
+                    re[b] = re[a] - tr; im[b] = im[a] - ti;
+                    re[a] += tr; im[a] += ti;
+                }
+            }
         }
 
-        // Peak Detection & Bit Decisions
-        // We look for peaks in ScoreUp vs ScoreDown
-        const detectedBits = [];
+        if (inverse) {
+            for (let i = 0; i < n; i++) { re[i] /= n; im[i] /= n; }
+        }
+    },
+
+    // Spectra of the zero-padded up/down templates for an FFT of size n
+    getTemplateSpectra(n) {
+        if (!this.templateSpectra[n]) {
+            const spectra = {};
+            for (const [name, template] of [['up', this.upChirp], ['down', this.downChirp]]) {
+                const re = new Float64Array(n);
+                const im = new Float64Array(n);
+                re.set(template);
+                this.fft(re, im);
+                spectra[name] = { re, im };
+            }
+            this.templateSpectra[n] = spectra;
+        }
+        return this.templateSpectra[n];
+    },
+
+    // Full-resolution matched filter (overlap-save fast correlation).
+    // up[i] / down[i] equal correlate(audioData.subarray(i), template) for
+    // every i where a whole symbol fits, i.e. length = N - len + 1.
+    matchedFilter(audioData) {
+        if (!this.upChirp) this.generateTemplates();
+
+        const len = this.upChirp.length;
+        const length = Math.max(0, audioData.length - len + 1);
+        const up = new Float32Array(length);
+        const down = new Float32Array(length);
+        if (length === 0) return { up, down, length };
 
-        // Threshold: Peak must be substantial
-        // A perfect match of amplitude 1.0 length 2205 gives score ~1100.
-        // In noise, maybe 100-200.
-        const threshold = 50.0;
+        // Short windows get a smaller transform
+        let n = 1;
+        while (n < audioData.length && n < this.FFT_SIZE) n <<= 1;
+        while (n <= len) n <<= 1;
+        const hop = n - len + 1;
 
-        // Find synchronization (Preamble: U-U-D-D)
-        // We look for 4 peaks spaced by ~2205 samples with pattern U-U-D-D
+        const spectra = this.getTemplateSpectra(n);
+        const re = new Float64Array(n);
+        const im = new Float64Array(n);
 
-        const peaks = [];
-        for (let i = 1; i < correlations.length - 1; i++) {
-            const curr = correlations[i];
-            const prev = correlations[i - 1];
-            const next = correlations[i + 1];
+        for (let s = 0; s < length; s += hop) {
+            re.fill(0);
+            im.fill(0);
+            re.set(audioData.subarray(s, s + n));
+            this.fft(re, im);
 
-            // Local Maxima for Up
-            if (curr.scoreUp > threshold && curr.scoreUp > prev.scoreUp && curr.scoreUp > next.scoreUp) {
-                peaks.push({ index: curr.index, type: 1, score: curr.scoreUp });
+            // Both outputs are real, so pack them as one complex result:
+            // Z = X·conj(U) + i·X·conj(D)
+            for (let k = 0; k < n; k++) {
+                const xr = re[k];
+                const xi = im[k];
+                const ur = spectra.up.re[k], ui = spectra.up.im[k];
+                const dr = spectra.down.re[k], di = spectra.down.im[k];
+                const aRe = xr * ur + xi * ui, aIm = xi * ur - xr * ui;
+                const bRe = xr * dr + xi * di, bIm = xi * dr - xr * di;
+                re[k] = aRe - bIm;
+                im[k] = aIm + bRe;
             }
-            // Local Maxima for Down
-            else if (curr.scoreDown > threshold && curr.scoreDown > prev.scoreDown && curr.scoreDown > next.scoreDown) {
-                peaks.push({ index: curr.index, type: 0, score: curr.scoreDown });
+            this.fft(re, im, true);
+
+            const count = Math.min(hop, length - s);
+            for (let i = 0; i < count; i++) {
+                up[s + i] = re[i];
+                down[s + i] = im[i];
             }
         }
 
-        // Find Sync Pattern: U, U, D, D (1, 1, 0, 0)
-        // Spaced by roughly 2205 samples (tolerance ±200)
+        return { up, down, length };
+    },
 
-        let syncIndex = -1;
-        const spacing = this.SAMPLES_PER_BIT;
-        const tolerance = 400; // samples
-
-        for (let i = 0; i < peaks.length - 3; i++) {
-            const p1 = peaks[i];
-            const p2 = peaks[i + 1];
-            const p3 = peaks[i + 2];
-            const p4 = peaks[i + 3];
-
-            if (p1.type === 1 && p2.type === 1 && p3.type === 0 && p4.type === 0) {
-                // Check spacing
-                const d1 = p2.index - p1.index;
-                const d2 = p3.index - p2.index;
-                const d3 = p4.index - p3.index;
-
-                if (Math.abs(d1 - spacing) < tolerance &&
-                    Math.abs(d2 - spacing) < tolerance &&
-                    Math.abs(d3 - spacing) < tolerance) {
-
-                    console.log(`[DECODER] Preamble found at ${p1.index}`);
-                    syncIndex = p4.index + spacing; // Start of data
-                    break;
-                }
+    // Reduce the correlation to one entry per SEARCH_STEP cell, keeping each
+    // template's strongest sample so peaks between grid points aren't lost.
+    // Cells are [from + c*step, ...) for the given range; offset is added to indices.
+    correlationCells(corr, from, to, offset = 0) {
+        const step = this.SEARCH_STEP;
+        const cells = [];
+
+        for (let c = from; c + step <= to; c += step) {
+            let upIdx = c;
+            let downIdx = c;
+            for (let i = c + 1; i < c + step; i++) {
+                if (corr.up[i] > corr.up[upIdx]) upIdx = i;
+                if (corr.down[i] > corr.down[downIdx]) downIdx = i;
             }
+            cells.push({
+                index: offset + c,
+                scoreUp: corr.up[upIdx],
+                scoreDown: corr.down[downIdx],
+                upIndex: offset + upIdx,
+                downIndex: offset + downIdx
+            });
         }
 
-        if (syncIndex === -1) {
-            console.log('[DECODER] No Preamble found');
-            return null;
+        return cells;
+    },
+
+    // Merge front-end options into FILTER; unknown names are rejected
+    configureFilter(options) {
+        for (const [name, value] of Object.entries(options)) {
+            if (!(name in this.FILTER)) throw new Error(`Unknown filter option: ${name}`);
+            if (typeof value !== typeof this.FILTER[name]) throw new Error(`Filter option ${name} must be a ${typeof this.FILTER[name]}`);
+        }
+        if (options.order !== undefined && (options.order < 2 || options.order % 2)) {
+            throw new Error('Filter order must be even and at least 2');
         }
+        Object.assign(this.FILTER, options);
+    },
 
-        // Decode Bits starting from syncIndex
-        const bits = [];
-        let cursor = syncIndex;
+    // Noise floor (rms cell level) of an ambient recording at the current rate,
+    // for seeding MilcodecPeakDetector before listening
+    measureNoiseFloor(audioData) {
+        const corr = this.matchedFilter(new MilcodecFrontEnd(this).process(audioData));
+        const detector = new MilcodecPeakDetector(null, this);
+        for (const cell of this.correlationCells(corr, 0, corr.length)) detector.push(cell);
+        return detector.floor;
+    },
+
+    // Sync Pattern: U, U, D, D (1, 1, 0, 0) spaced by roughly one symbol
+    isPreamble(p1, p2, p3, p4) {
+        if (!(p1.type === 1 && p2.type === 1 && p3.type === 0 && p4.type === 0)) return false;
+
+        const spacing = this.SAMPLES_PER_BIT;
+        const tolerance = this.TIMING_TOLERANCE;
+        const d1 = p2.index - p1.index;
+        const d2 = p3.index - p2.index;
+        const d3 = p4.index - p3.index;
+
+        return Math.abs(d1 - spacing) < tolerance &&
+            Math.abs(d2 - spacing) < tolerance &&
+            Math.abs(d3 - spacing) < tolerance;
+    },
+
+    // Decide one symbol by searching ±window around the expected cursor
+    // in a matchedFilter() result. With skew, the up peak is expected at
+    // cursor + skew and the down peak at cursor - skew.
+    // Returns { bit, soft, index, error }: soft is the best up score minus the
+    // best down score (sign = bit, magnitude = confidence), index the refined
+    // peak and error its distance from where that template's peak was expected.
+    readSymbol(corr, cursor, window = this.TIMING_TOLERANCE, skew = 0) {
+        const best = (scores, center) => {
+            let score = -Infinity, index = center;
+            const searchStart = Math.max(0, center - window);
+            const searchEnd = Math.min(corr.length, center + window + 1);
+            for (let i = searchStart; i < searchEnd; i++) {
+                if (scores[i] > score) { score = scores[i]; index = i; }
+            }
+            return { score, index, error: index - center };
+        };
+
+        const up = best(corr.up, cursor + skew);
+        const down = best(corr.down, cursor - skew);
+
+        const bit = up.score >= down.score ? 1 : 0;
+        const winner = bit ? up : down;
+        return { bit, soft: up.score - down.score, index: winner.index, error: winner.error };
+    },
+
+    // Timing loop seeded from the 4 preamble peaks.
+    // A time-stretched chirp (clock offset, Doppler) correlates early for one
+    // sweep direction and late for the other, so the loop tracks the common
+    // symbol timing plus an up/down skew. From U-U-D-D: U-U and D-D spacings
+    // give the period, the U-D spacing is the period minus twice the skew.
+    // Positions are absolute sample indices.
+    createTimingLoop(preamble) {
+        const nominal = this.SAMPLES_PER_BIT;
+        const d1 = preamble[1].index - preamble[0].index;
+        const d2 = preamble[2].index - preamble[1].index;
+        const d3 = preamble[3].index - preamble[2].index;
 
-        // Read until end of buffer
-        // We actively correlate at expected positions
-        while (cursor + len < audioData.length) {
-            // Refine local peak search (±tolerance around expected cursor)
-            let bestScore = -Infinity;
-            let bestType = -1;
+        let period = (d1 + d3) / 2;
+        if (Math.abs(period - nominal) > this.TIMING_TOLERANCE) period = nominal;
+        const skew = (period - d2) / 2;
 
-            // Search small window around expected time for peak
-            const searchStart = Math.max(0, cursor - tolerance);
-            const searchEnd = Math.min(audioData.length - len, cursor + tolerance);
+        return {
+            next: preamble[3].index + skew + period, // Predicted start of the next symbol
+            period,
+            skew,
+            symbols: 0,
+            errorSum2: 0
+        };
+    },
 
-            let localBestIdx = cursor;
+    // Read the symbol the loop predicts, then steer the loop with the timing
+    // error (early-late relative to the correlation peak). corr covers the
+    // samples from `offset` on.
+    trackSymbol(corr, loop, offset = 0) {
+        const predicted = Math.round(loop.next) - offset;
+        const symbol = this.readSymbol(corr, predicted, this.TRACK_WINDOW, Math.round(loop.skew));
+        const error = symbol.error;
 
-            // We only check every 'step' samples to match our correlation grid
-            // Re-running dense correlation locally IS efficient
+        // Common-mode error steers phase and period, differential error the skew
+        loop.period += this.LOOP_BETA * error;
+        loop.next += this.LOOP_ALPHA * error + loop.period;
+        loop.skew += this.LOOP_GAMMA * (symbol.bit ? error : -error);
+        loop.symbols++;
+        loop.errorSum2 += error * error;
 
-            for (let i = searchStart; i < searchEnd; i += 20) {
-                const window = audioData.subarray(i, i + len);
-                const sUp = this.correlate(window, this.upChirp);
-                const sDown = this.correlate(window, this.downChirp);
+        return symbol;
+    },
 
-                if (sUp > bestScore) { bestScore = sUp; bestType = 1; localBestIdx = i; }
-                if (sDown > bestScore) { bestScore = sDown; bestType = 0; localBestIdx = i; }
+    // Sender vs receiver clock mismatch (incl. Doppler) from the tracked period.
+    // Positive: symbols arrive stretched.
+    clockOffsetPpm(loop) {
+        return (loop.period / this.SAMPLES_PER_BIT - 1) * 1e6;
+    },
+
+    // Loop summary for packet diagnostics
+    timingStats(loop) {
+        return {
+            clockOffsetPpm: Math.round(this.clockOffsetPpm(loop)),
+            timingJitter: loop.symbols ? Math.sqrt(loop.errorSum2 / loop.symbols) : 0 // rms samples
+        };
+    },
+
+    // Per-packet signal report.
+    // preamble: the 4 peaks the loop was seeded from; soft: every symbol after
+    // the preamble (sync, header, payload) with the payload from payloadStart.
+    //   preambleScore    mean matched-filter peak of the preamble
+    //   snrDb            estimated SNR in the F_START-F_END band
+    //   bitConfidence    per symbol, |soft| relative to the preamble peak (0-1)
+    //   confidence       { mean, min, weak }, weak = symbols below WEAK_CONFIDENCE
+    //   voteDisagreements v1: payload bits whose 3 copies did not all agree
+    //   fecCorrections   v2: payload symbols the Viterbi decoder overruled
+    //   clockOffsetPpm, timingJitter (see timingStats), decodeMs
+    diagnostics({ preamble, soft, version, payloadStart, bytes, loop, decodeMs }) {
+        const reference = preamble.reduce((sum, p) => sum + p.score, 0) / preamble.length;
+        const magnitudes = soft.map(Math.abs);
+
+        const bitConfidence = magnitudes.map(m => Math.round(Math.min(1, m / reference) * 100) / 100);
+        const confidence = {
+            mean: Math.round(bitConfidence.reduce((a, b) => a + b, 0) / bitConfidence.length * 100) / 100,
+            min: bitConfidence.reduce((a, b) => Math.min(a, b), 1),
+            weak: bitConfidence.filter(c => c < this.WEAK_CONFIDENCE).length
+        };
+
+        const payload = soft.slice(payloadStart);
+        const errors = version === 2
+            ? { fecCorrections: this.fecCorrections(payload, bytes) }
+            : { voteDisagreements: this.voteDisagreements(payload, bytes.length * 8) };
+
+        return {
+            preambleScore: Math.round(reference * 10) / 10,
+            snrDb: this.estimateSnr(magnitudes),
+            confidence,
+            bitConfidence,
+            ...errors,
+            ...this.timingStats(loop),
+            decodeMs: Math.round(decodeMs * 10) / 10
+        };
+    },
+
+    // In-band SNR from matched-filter outputs. mean²/variance of |soft| is the
+    // post-correlation SNR, which exceeds the SNR within the sweep band by the
+    // chirp's time-bandwidth product (B·T = 150 for 3 kHz over 50 ms).
+    estimateSnr(magnitudes) {
+        const n = magnitudes.length;
+        const mean = magnitudes.reduce((a, b) => a + b, 0) / n;
+        const variance = magnitudes.reduce((a, m) => a + (m - mean) ** 2, 0) / n;
+        const gain = (this.F_END - this.F_START) * this.BIT_DURATION;
+        if (variance === 0) return this.MAX_SNR_DB;
+        const snr = 10 * Math.log10(mean * mean / variance / gain);
+        return Math.round(Math.min(snr, this.MAX_SNR_DB) * 10) / 10;
+    },
+
+    // v1 payload bits where the repeated copies were not unanimous
+    voteDisagreements(soft, bitLen) {
+        let count = 0;
+        for (let i = 0; i < bitLen; i++) {
+            const ones = [0, 1, 2].filter(c => soft[c * bitLen + i] > 0).length;
+            if (ones !== 0 && ones !== 3) count++;
+        }
+        return count;
+    },
+
+    // v2 received symbols that differ from the re-encoded decoder output
+    fecCorrections(soft, bytes) {
+        const coded = MilcodecFEC.interleave(MilcodecFEC.encode(this.bytesToBits(bytes)));
+        let count = 0;
+        for (let i = 0; i < coded.length; i++) {
+            if ((soft[i] > 0 ? 1 : 0) !== coded[i]) count++;
+        }
+        return count;
+    },
+
+    logDiagnostics(d) {
+        const errors = d.fecCorrections !== undefined ? `${d.fecCorrections} FEC corrections` : `${d.voteDisagreements} vote disagreements`;
+        console.log(`[DECODER] SNR ${d.snrDb} dB, preamble ${d.preambleScore}, confidence ${d.confidence.mean} (min ${d.confidence.min}), ${errors}`);
+        console.log(`[DECODER] Clock offset ${d.clockOffsetPpm} ppm, jitter ${d.timingJitter.toFixed(1)} samples, ${d.decodeMs} ms`);
+    },
+
+    // Big-endian integer from n bits
+    bitsToInt(bits, start, n) {
+        let v = 0;
+        for (let i = 0; i < n; i++) v = (v << 1) | bits[start + i];
+        return v;
+    },
+
+    bitsToBytes(bits) {
+        const bytes = new Uint8Array(bits.length / 8);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = this.bitsToInt(bits, i * 8, 8);
+        }
+        return bytes;
+    },
+
+    // Protocol version from the 16 received sync bits (nearest sync word).
+    // Returns { version, distance }; distance above SYNC_TOLERANCE means no match.
+    detectVersion(syncBits) {
+        const distance = (word) => word.reduce((d, b, i) => d + (b !== syncBits[i] ? 1 : 0), 0);
+        const d1 = distance(this.SYNC_BITS);
+        const d2 = distance(this.SYNC_BITS_V2);
+        return d2 < d1 ? { version: 2, distance: d2 } : { version: 1, distance: d1 };
+    },
+
+    // CRC-8 (poly 0x07, init 0) protecting the v2 length header
+    crc8(bytes) {
+        let crc = 0;
+        for (const byte of bytes) {
+            crc ^= byte;
+            for (let i = 0; i < 8; i++) {
+                crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
             }
+        }
+        return crc;
+    },
+
+    // Symbols carrying the length header
+    headerSymbols(version) {
+        return version === 2 ? MilcodecFEC.codedLength(24) : 16;
+    },
+
+    // Symbols carrying a payload of pLen bytes
+    payloadSymbols(version, pLen) {
+        return version === 2 ? MilcodecFEC.codedLength(pLen * 8) : pLen * 8 * 3;
+    },
 
-            bits.push(bestType);
-            cursor = localBestIdx + spacing; // Advance by exactly one symbol spacing from detected peak
+    // Returns { length, crcOk }; v1 headers carry no CRC
+    decodeHeader(version, soft) {
+        if (version === 1) {
+            const bits = soft.map(s => (s > 0 ? 1 : 0));
+            return { length: this.bitsToInt(bits, 0, 16), crcOk: true };
         }
 
-        console.log(`[DECODER] Extracted ${bits.length} raw bits`);
+        const bits = MilcodecFEC.viterbi(soft, 24);
+        const length = this.bitsToInt(bits, 0, 16);
+        const crc = this.bitsToInt(bits, 16, 8);
+        return { length, crcOk: crc === this.crc8([length >> 8, length & 0xFF]) };
+    },
 
-        // Parse Packet: Sync(16) + Len(16)
-        // Skip Sync (16 bits)
-        if (bits.length < 32) return null;
+    reject(reason, detail = '') {
+        console.log(`[DECODER] Rejected: ${reason}${detail ? ' (' + detail + ')' : ''}`);
+        return { reason, detail };
+    },
 
-        const dataBits = bits.slice(16); // Sync is 16 bits
-        const rawData = dataBits;
+    // Sync, header CRC and length checks shared by batch and stream decoding.
+    // Returns a reject() result, or null if the header is acceptable.
+    checkSync(distance) {
+        if (distance > this.SYNC_TOLERANCE) {
+            return this.reject(this.REJECT.SYNC_MISMATCH, `${distance} bit errors`);
+        }
+        return null;
+    },
 
-        // 5. Read Length (16 bits)
-        if (rawData.length < 16) return null;
-        let pLen = 0;
-        for (let i = 0; i < 16; i++) pLen = (pLen << 1) | rawData[i];
+    checkHeader(version, header) {
+        console.log(`[DECODER] Protocol v${version}, Payload Length: ${header.length} bytes`);
 
-        console.log(`[DECODER] Payload Length: ${pLen} bytes`);
-        if (pLen <= 0 || pLen > 1024) return null;
+        if (!header.crcOk) return this.reject(this.REJECT.HEADER_CRC);
+        if (header.length <= 0 || header.length > this.MAX_PAYLOAD) {
+            return this.reject(this.REJECT.BAD_LENGTH, `${header.length} bytes`);
+        }
+        return null;
+    },
 
-        // 6. Majority Vote
-        const payloadBits = new Uint8Array(pLen * 8);
-        const dataStart = 16;
+    decodePayload(version, soft, pLen) {
         const bitLen = pLen * 8;
 
-        if (rawData.length < dataStart + (bitLen * 3)) {
-            console.log('[DECODER] Incomplete Chirp packet');
-            // Try to extract partial? No.
-            return null;
+        if (version === 2) {
+            const coded = MilcodecFEC.deinterleave(Float32Array.from(soft));
+            return this.bitsToBytes(MilcodecFEC.viterbi(coded, bitLen));
         }
 
+        // v1: soft-combine the 3 repeated copies
+        const payloadBits = new Uint8Array(bitLen);
         for (let i = 0; i < bitLen; i++) {
-            const b1 = rawData[dataStart + i];
-            const b2 = rawData[dataStart + bitLen + i];
-            const b3 = rawData[dataStart + (bitLen * 2) + i];
-            const sum = b1 + b2 + b3;
-            payloadBits[i] = sum >= 2 ? 1 : 0;
+            const sum = soft[i] + soft[bitLen + i] + soft[(bitLen * 2) + i];
+            payloadBits[i] = sum > 0 ? 1 : 0;
+        }
+        return this.bitsToBytes(payloadBits);
+    },
+
+    // --- Modulator: the transmit counterpart of the decode path above ---
+
+    intToBits(value, n) {
+        const bits = [];
+        for (let i = n - 1; i >= 0; i--) bits.push((value >> i) & 1);
+        return bits;
+    },
+
+    bytesToBits(bytes) {
+        const bits = [];
+        for (const byte of bytes) bits.push(...this.intToBits(byte, 8));
+        return bits;
+    },
+
+    // Full symbol sequence for one packet: preamble + sync + header + payload
+    packetBits(bytes, version = 2) {
+        if (bytes.length <= 0 || bytes.length > this.MAX_PAYLOAD) {
+            throw new Error(`Payload must be 1-${this.MAX_PAYLOAD} bytes, got ${bytes.length}`);
         }
 
-        // 7. Reconstruct Bytes
-        const bytes = new Uint8Array(pLen);
-        for (let i = 0; i < pLen; i++) {
-            let b = 0;
-            for (let j = 0; j < 8; j++) {
-                b = (b << 1) | payloadBits[i * 8 + j];
+        const preamble = [1, 1, 0, 0];
+        const lengthBits = this.intToBits(bytes.length, 16);
+        const payloadBits = this.bytesToBits(bytes);
+
+        if (version === 1) {
+            return [...preamble, ...this.SYNC_BITS, ...lengthBits, ...payloadBits, ...payloadBits, ...payloadBits];
+        }
+
+        const crc = this.crc8([bytes.length >> 8, bytes.length & 0xFF]);
+        return [
+            ...preamble,
+            ...this.SYNC_BITS_V2,
+            ...MilcodecFEC.encode([...lengthBits, ...this.intToBits(crc, 8)]),
+            ...MilcodecFEC.interleave(MilcodecFEC.encode(payloadBits))
+        ];
+    },
+
+    // Packet audio at the current sample rate (see setSampleRate).
+    // Short fades at both ends keep the speaker from clicking.
+    modulate(bytes, version = 2, amplitude = 0.3) {
+        if (!this.upChirp) this.generateTemplates();
+
+        const bits = this.packetBits(bytes, version);
+        const len = this.upChirp.length;
+        const audio = new Float32Array(bits.length * len);
+        bits.forEach((bit, i) => audio.set(bit ? this.upChirp : this.downChirp, i * len));
+
+        const fade = Math.min(Math.round(this.FS * 0.005), len);
+        for (let i = 0; i < audio.length; i++) {
+            const edge = Math.min(i, audio.length - 1 - i);
+            audio[i] *= amplitude * (edge < fade ? edge / fade : 1);
+        }
+        return audio;
+    },
+
+    // Read up to count symbols with the timing loop; stops early at end of buffer
+    readBits(corr, loop, count) {
+        const bits = [];
+        const soft = [];
+
+        while (bits.length < count && Math.round(loop.next) < corr.length) {
+            const symbol = this.trackSymbol(corr, loop);
+            bits.push(symbol.bit);
+            soft.push(symbol.soft);
+        }
+
+        return { bits, soft };
+    },
+
+    // Parse Packet: Sync(16) + Header + Payload following the preamble tracked by loop.
+    // Returns { bytes, version, end, soft, payloadStart } with end the sample just
+    // past the last symbol and soft every symbol read, or { reason, detail } when
+    // the candidate is rejected.
+    readPacket(corr, loop) {
+        const sync = this.readBits(corr, loop, 16);
+        if (sync.bits.length < 16) return this.reject(this.REJECT.TRUNCATED, 'sync');
+
+        const { version, distance } = this.detectVersion(sync.bits);
+        const syncError = this.checkSync(distance);
+        if (syncError) return syncError;
+
+        const headerCount = this.headerSymbols(version);
+        const header = this.readBits(corr, loop, headerCount);
+        if (header.bits.length < headerCount) return this.reject(this.REJECT.TRUNCATED, 'header');
+
+        const decoded = this.decodeHeader(version, header.soft);
+        const headerError = this.checkHeader(version, decoded);
+        if (headerError) return headerError;
+
+        const pLen = decoded.length;
+        const payloadCount = this.payloadSymbols(version, pLen);
+        const payload = this.readBits(corr, loop, payloadCount);
+        if (payload.bits.length < payloadCount) {
+            return this.reject(this.REJECT.TRUNCATED, `${payload.bits.length}/${payloadCount} payload symbols`);
+        }
+
+        return {
+            bytes: this.decodePayload(version, payload.soft, pLen),
+            version,
+            end: Math.round(loop.next),
+            soft: [...sync.soft, ...header.soft, ...payload.soft],
+            payloadStart: 16 + headerCount
+        };
+    },
+
+    // Decode every packet in the buffer, captured at sampleRate.
+    // Options: noiseFloor seeds the detector (see measureNoiseFloor), otherwise it
+    // is learned from the audio; profile decodes with that profile instead of this
+    // codec's; autoScan tries every enabled profile (see scanAudio).
+    // Returns { packets: [{ bytes, version, profile, offset, end, diagnostics }],
+    // rejections: [{ reason, detail, profile, offset }] } with offset the preamble start sample.
+    decodeAudio(audioData, sampleRate = this.FS, options = {}) {
+        // Before protocol profiles took a sample rate the arguments were
+        // (audio, rxMode, autoScan): refuse those rather than misread them
+        if (typeof sampleRate !== 'number' || !(sampleRate > 0)) {
+            throw new Error(`sampleRate must be a positive number (Hz), got ${JSON.stringify(sampleRate)}; ` +
+                'pass the profile as { profile }');
+        }
+        if (typeof options !== 'object' || options === null) {
+            throw new Error(`Decode options must be an object, got ${JSON.stringify(options)}; pass { autoScan }`);
+        }
+        const { noiseFloor = null, profile = null, autoScan = false } = options;
+
+        if (autoScan) return this.scanAudio(audioData, sampleRate);
+        if (profile && profile !== this.PROFILE) {
+            return this.withProfile(profile, sampleRate).decodeAudio(audioData, sampleRate, { noiseFloor });
+        }
+        this.setSampleRate(sampleRate);
+
+        console.log(`[DECODER] Processing ${audioData.length} samples (Dolphin CSS, ${this.PROFILE})...`);
+
+        // Matched filter at every sample, condensed to the search grid for peak picking
+        const corr = this.matchedFilter(new MilcodecFrontEnd(this).process(audioData));
+        const cells = this.correlationCells(corr, 0, corr.length);
+        const detector = new MilcodecPeakDetector(noiseFloor, this);
+
+        // Find synchronization (Preamble: U-U-D-D), decode, and resume
+        // the search right after each packet's end
+        const packets = [];
+        const rejections = [];
+        let preambles = 0;
+        let peaks = [];
+
+        for (let c = 0; c < cells.length; c++) {
+            const peak = detector.push(cells[c]);
+            if (!peak) continue;
+
+            peaks.push(peak);
+            if (peaks.length > 4) peaks.shift();
+            if (peaks.length < 4 || !this.isPreamble(...peaks)) continue;
+
+            preambles++;
+            const offset = peaks[0].index;
+            console.log(`[DECODER] Preamble found at ${offset} (noise floor ${detector.floor.toFixed(1)})`);
+
+            const started = performance.now();
+            const preamble = peaks;
+            const loop = this.createTimingLoop(preamble);
+            const packet = this.readPacket(corr, loop);
+            if (packet.reason) {
+                rejections.push({ reason: packet.reason, detail: packet.detail, profile: this.PROFILE, offset });
+                continue;
             }
-            bytes[i] = b;
+
+            const diagnostics = this.diagnostics({ ...packet, preamble, loop, decodeMs: performance.now() - started });
+            this.logDiagnostics(diagnostics);
+            packets.push({ bytes: packet.bytes, version: packet.version, profile: this.PROFILE, offset, end: packet.end, diagnostics });
+
+            c = Math.ceil(packet.end / this.SEARCH_STEP) - 1;
+            detector.clear();
+            peaks = [];
         }
 
-        return bytes;
+        if (preambles === 0) {
+            rejections.push({ ...this.reject(this.REJECT.NO_PREAMBLE), profile: this.PROFILE, offset: 0 });
+        }
+        console.log(`[DECODER] ${packets.length} packet(s) decoded`);
+
+        return { packets, rejections };
+    },
+
+    // decodeAudio() with each named profile, results merged in offset order.
+    // Each packet's profile tells which one locked. Profiles the sample rate
+    // cannot carry are skipped; NO_PREAMBLE only if no profile found anything.
+    scanAudio(audioData, sampleRate = this.FS, names = this.enabledProfiles()) {
+        const packets = [];
+        const rejections = [];
+
+        for (const name of names) {
+            let codec;
+            try {
+                codec = this.withProfile(name, sampleRate);
+            } catch (e) {
+                console.log(`[DECODER] Skipping ${name}: ${e.message}`);
+                continue;
+            }
+            const result = codec.decodeAudio(audioData, sampleRate);
+            packets.push(...result.packets);
+            rejections.push(...result.rejections.filter((r) => r.reason !== this.REJECT.NO_PREAMBLE));
+        }
+
+        if (packets.length === 0 && rejections.length === 0) {
+            rejections.push({ ...this.reject(this.REJECT.NO_PREAMBLE), profile: null, offset: 0 });
+        }
+        packets.sort((a, b) => a.offset - b.offset);
+        rejections.sort((a, b) => a.offset - b.offset);
+        return { packets, rejections };
+    },
+
+    // Decoded packets only, see decodeAudio() for options
+    extractPackets(audioData, sampleRate = this.FS, options = {}) {
+        return this.decodeAudio(audioData, sampleRate, options).packets;
+    },
+
+    // First packet in the buffer, or null
+    extractFromAudio(audioData, sampleRate = this.FS, options = {}) {
+        const packets = this.extractPackets(audioData, sampleRate, options);
+        return packets.length > 0 ? packets[0].bytes : null;
     }
 };
+
+/**
+ * Preamble peak detector with an adaptive (CFAR) threshold.
+ * Correlation scores scale with microphone gain and input level, so instead of
+ * a fixed threshold a peak must exceed CFAR_FACTOR times the running noise
+ * floor: the rms cell level over about FLOOR_SECONDS. Cells above the threshold
+ * enter the average clamped to it, so a packet barely moves the floor while a
+ * room that gets louder still raises it.
+ * A peak must also be the strongest cell within half a symbol either side,
+ * which rules out chirp sidelobes and the overlap between adjacent symbols.
+ * Create it after MILCODEC.setSampleRate().
+ */
+class MilcodecPeakDetector {
+    // noiseFloor: calibrated starting floor, or null to learn it from the input
+    constructor(noiseFloor = null, codec = MILCODEC) {
+        this.codec = codec;
+        this.radius = Math.max(1, Math.floor(codec.SAMPLES_PER_BIT / 2 / codec.SEARCH_STEP));
+        this.averaging = Math.round(codec.FLOOR_SECONDS * codec.FS / codec.SEARCH_STEP);
+        this.power = noiseFloor === null ? 0 : noiseFloor * noiseFloor;
+        this.count = noiseFloor === null ? 0 : this.averaging;
+        this.window = [];
+    }
+
+    get floor() {
+        return Math.sqrt(this.power);
+    }
+
+    get threshold() {
+        return Math.max(this.codec.CFAR_FACTOR * this.floor, this.codec.MIN_PEAK_SCORE);
+    }
+
+    // Stronger template score of a correlation cell
+    level(cell) {
+        return Math.max(cell.scoreUp, cell.scoreDown, 0);
+    }
+
+    // The input skips ahead (after a packet): drop pending cells, keep the floor
+    clear() {
+        this.window = [];
+    }
+
+    // Feed the next correlationCells() entry. Returns { index, type, score } once
+    // the cell radius positions back is confirmed as a peak, else null.
+    push(cell) {
+        const threshold = this.threshold;
+        const clamped = Math.min(this.level(cell), threshold);
+        this.count = Math.min(this.count + 1, this.averaging);
+        this.power += (clamped * clamped - this.power) / this.count;
+
+        this.window.push(cell);
+        if (this.window.length > 2 * this.radius + 1) this.window.shift();
+
+        // Centre of the window; while it fills, the earliest cells have fewer neighbours
+        const centre = this.window.length - 1 - this.radius;
+        if (centre < 0) return null;
+
+        const candidate = this.window[centre];
+        const score = this.level(candidate);
+        if (score <= threshold) return null;
+        for (let i = 0; i < this.window.length; i++) {
+            const other = this.level(this.window[i]);
+            if (i < centre ? other >= score : i > centre && other > score) return null;
+        }
+
+        return candidate.scoreUp >= candidate.scoreDown
+            ? { index: candidate.upIndex, type: 1, score: candidate.scoreUp }
+            : { index: candidate.downIndex, type: 0, score: candidate.scoreDown };
+    }
+}
+
+/**
+ * Front-end filter chain run on the raw input before correlation.
+ * Band-pass: Butterworth high-pass and low-pass cascades with their edges
+ * FILTER.margin outside F_START..F_END, so speech, music and HVAC energy
+ * below the band never reach the matched filter.
+ * Notches: each analysis block (~90 ms) of band-passed signal is searched for
+ * narrow lines FILTER.notchThresholdDb above the median in-band level. A line
+ * present for FILTER.persistence blocks gets a notch that follows it if it
+ * drifts, and loses it after as many blocks without it. A chirp spreads over
+ * the whole band within a block, so it never looks like a line.
+ * Filtering runs per sample with state kept across calls: chunked and
+ * whole-buffer input give the same output. Create it after MILCODEC.setSampleRate().
+ */
+class MilcodecFrontEnd {
+    constructor(codec = MILCODEC, options = codec.FILTER) {
+        this.codec = codec;
+        this.options = { ...options };
+        const fs = codec.FS;
+        const low = codec.F_START - this.options.margin;
+        const high = codec.F_END + this.options.margin;
+
+        // Band edges: Butterworth pole pairs, one biquad each
+        this.bandpass = [];
+        if (this.options.bandpass) {
+            const order = this.options.order;
+            for (let k = 0; k < order / 2; k++) {
+                const q = 1 / (2 * Math.cos(Math.PI * (2 * k + 1) / (2 * order)));
+                this.bandpass.push(this.biquad('highpass', low, q));
+                // Near Nyquist there is nothing left to cut
+                if (high < 0.95 * fs / 2) this.bandpass.push(this.biquad('lowpass', high, q));
+            }
+        }
+
+        this.notches = []; // { freq, section }
+        this.lines = []; // Tracked narrowband lines: { freq, hits, misses }
+        this.onSpectrum = null; // fn({ raw, filtered }) per analysis block, see spectrumBytes()
+
+        let size = 1;
+        while (size < 0.08 * fs) size <<= 1;
+        this.block = { size, fill: 0, raw: new Float32Array(size), band: new Float32Array(size), out: new Float32Array(size) };
+        this.window = new Float64Array(size);
+        for (let i = 0; i < size; i++) this.window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size);
+    }
+
+    // RBJ cookbook biquad in transposed direct form II
+    biquad(type, freq, q) {
+        const w = 2 * Math.PI * freq / this.codec.FS;
+        const cos = Math.cos(w);
+        const alpha = Math.sin(w) / (2 * q);
+        const a0 = 1 + alpha;
+        const b = {
+            lowpass: [(1 - cos) / 2, 1 - cos, (1 - cos) / 2],
+            highpass: [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2],
+            notch: [1, -2 * cos, 1]
+        }[type];
+        return {
+            b0: b[0] / a0, b1: b[1] / a0, b2: b[2] / a0,
+            a1: -2 * cos / a0, a2: (1 - alpha) / a0,
+            z1: 0, z2: 0
+        };
+    }
+
+    run(section, x) {
+        const y = section.b0 * x + section.z1;
+        section.z1 = section.b1 * x - section.a1 * y + section.z2;
+        section.z2 = section.b2 * x - section.a2 * y;
+        return y;
+    }
+
+    // Filtered copy of the next input chunk
+    process(chunk) {
+        const out = new Float32Array(chunk.length);
+        const block = this.block;
+
+        for (let i = 0; i < chunk.length; i++) {
+            let x = chunk[i];
+            for (const section of this.bandpass) x = this.run(section, x);
+            const band = x;
+            for (const notch of this.notches) x = this.run(notch.section, x);
+            out[i] = x;
+
+            block.raw[block.fill] = chunk[i];
+            block.band[block.fill] = band;
+            block.out[block.fill] = x;
+            if (++block.fill === block.size) {
+                this.analyze();
+                block.fill = 0;
+            }
+        }
+        return out;
+    }
+
+    // Power spectrum (Hann window) of one block, bins 0..size/2
+    powerSpectrum(samples) {
+        const n = samples.length;
+        const re = new Float64Array(n);
+        const im = new Float64Array(n);
+        for (let i = 0; i < n; i++) re[i] = samples[i] * this.window[i];
+        this.codec.fft(re, im);
+
+        const power = new Float64Array(n / 2 + 1);
+        for (let k = 0; k <= n / 2; k++) power[k] = re[k] * re[k] + im[k] * im[k];
+        return power;
+    }
+
+    analyze() {
+        if (this.options.notch) this.trackLines(this.findLines(this.powerSpectrum(this.block.band)));
+        if (this.onSpectrum) {
+            this.onSpectrum({
+                raw: this.spectrumBytes(this.powerSpectrum(this.block.raw)),
+                filtered: this.spectrumBytes(this.powerSpectrum(this.block.out))
+            });
+        }
+    }
+
+    // Frequencies of narrow in-band lines, strongest first
+    findLines(power) {
+        const binHz = this.codec.FS / this.block.size;
+        const from = Math.ceil(this.codec.F_START / binHz);
+        const to = Math.floor(this.codec.F_END / binHz);
+
+        const inBand = Array.from(power.subarray(from, to + 1)).sort((a, b) => a - b);
+        const median = inBand[inBand.length >> 1];
+        const limit = Math.max(
+            median * Math.pow(10, this.options.notchThresholdDb / 10),
+            Math.pow(10, this.options.notchMinDb / 10) / this.powerScale()
+        );
+
+        const lines = [];
+        for (let k = from; k <= to; k++) {
+            if (power[k] <= limit) continue;
+            let isPeak = true;
+            for (let j = k - 2; j <= k + 2; j++) {
+                if (j !== k && power[j] > power[k]) isPeak = false;
+            }
+            if (isPeak) lines.push({ freq: k * binHz, power: power[k] });
+        }
+        return lines.sort((a, b) => b.power - a.power).map((l) => l.freq);
+    }
+
+    // Match this block's lines to tracked ones; add, retune or drop notches
+    trackLines(found) {
+        const binHz = this.codec.FS / this.block.size;
+        const tolerance = 5 * binHz;
+        const persistence = this.options.persistence;
+
+        for (const line of this.lines) line.seen = false;
+        for (const freq of found) {
+            const line = this.lines.find((l) => !l.seen && Math.abs(l.freq - freq) <= tolerance);
+            if (line) {
+                line.freq = freq;
+                line.hits++;
+                line.misses = 0;
+                line.seen = true;
+            } else {
+                this.lines.push({ freq, hits: 1, misses: 0, seen: true });
+            }
+        }
+
+        for (const line of this.lines) {
+            if (!line.seen) line.misses++;
+            const notch = this.notches.find((n) => n.line === line);
+
+            if (notch && line.misses >= persistence) {
+                this.notches.splice(this.notches.indexOf(notch), 1);
+                console.log(`[FILTER] Notch at ${Math.round(notch.freq)} Hz removed`);
+            } else if (notch && line.seen && notch.freq !== line.freq) {
+                // Follow the drift, keeping the section's state
+                const { z1, z2 } = notch.section;
+                notch.section = { ...this.biquad('notch', line.freq, this.options.notchQ), z1, z2 };
+                notch.freq = line.freq;
+            } else if (!notch && line.hits >= persistence && this.notches.length < this.options.maxNotches) {
+                this.notches.push({ line, freq: line.freq, section: this.biquad('notch', line.freq, this.options.notchQ) });
+                console.log(`[FILTER] Notch at ${Math.round(line.freq)} Hz for a narrowband interferer`);
+            }
+        }
+        this.lines = this.lines.filter((l) => l.misses < persistence);
+    }
+
+    // Active notch frequencies in Hz
+    notchFrequencies() {
+        return this.notches.map((n) => Math.round(n.freq));
+    }
+
+    // Bin power -> squared sine amplitude (Hann window sum is size/2, amplitude 2|X|/sum)
+    powerScale() {
+        return 16 / (this.block.size * this.block.size);
+    }
+
+    // 128 bins over 0..FS/2 as 0-255 for -100..-30 dBFS, like AnalyserNode.getByteFrequencyData
+    spectrumBytes(power) {
+        const bins = 128;
+        const group = (power.length - 1) / bins;
+        const scale = this.powerScale();
+        const bytes = new Uint8Array(bins);
+        for (let b = 0; b < bins; b++) {
+            let max = 0;
+            for (let k = b * group; k < (b + 1) * group; k++) max = Math.max(max, power[k]);
+            const db = 10 * Math.log10(max * scale + 1e-20);
+            bytes[b] = Math.max(0, Math.min(255, Math.round((db + 100) / 70 * 255)));
+        }
+        return bytes;
+    }
+}
+
+/**
+ * Fixed-capacity sample ring addressed by absolute sample index
+ */
+class MilcodecRingBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.data = new Float32Array(capacity);
+        this.end = 0; // Absolute index one past the newest sample
+    }
+
+    // Oldest sample still held
+    get start() {
+        return Math.max(0, this.end - this.capacity);
+    }
+
+    push(chunk) {
+        for (let i = 0; i < chunk.length; i++) {
+            this.data[(this.end + i) % this.capacity] = chunk[i];
+        }
+        this.end += chunk.length;
+    }
+
+    // Contiguous copy of [from, from + length)
+    read(from, length) {
+        if (from < this.start || from + length > this.end) {
+            throw new RangeError(`Samples ${from}..${from + length} not in ring (${this.start}..${this.end})`);
+        }
+
+        const out = new Float32Array(length);
+        const offset = from % this.capacity;
+        const first = Math.min(length, this.capacity - offset);
+        out.set(this.data.subarray(offset, offset + first));
+        if (first < length) out.set(this.data.subarray(0, length - first), first);
+        return out;
+    }
+}
+
+/**
+ * Stateful receiver for live audio.
+ * Feed microphone chunks of any size to push(); packets that span many
+ * chunks are decoded as soon as their last symbol arrives.
+ *
+ * States: HUNTING -> SYNCED -> READING_LENGTH -> READING_PAYLOAD -> HUNTING
+ */
+class MilcodecStreamDecoder {
+    // Call setSampleRate() on the codec for the input first; the ring is sized from it.
+    // codec: MILCODEC or a MILCODEC.withProfile() codec
+    // noiseFloor: optional calibrated floor, see MILCODEC.measureNoiseFloor()
+    // onPreamble({ profile, offset, noiseFloor }): a packet starts
+    // onProgress({ profile, state, offset, symbols, totalSymbols }): symbols read so far;
+    // totalSymbols stays null until the header gives the length
+    constructor(onPacket, onState = null, onReject = null,
+        { noiseFloor = null, codec = MILCODEC, onPreamble = null, onProgress = null } = {}) {
+        this.codec = codec;
+        if (!codec.upChirp) codec.generateTemplates();
+
+        this.onPacket = onPacket;
+        this.onState = onState;
+        this.onReject = onReject;
+        this.onPreamble = onPreamble;
+        this.onProgress = onProgress;
+        this.noiseFloor = noiseFloor;
+        this.frontEnd = new MilcodecFrontEnd(this.codec);
+        this.ring = new MilcodecRingBuffer(this.codec.FS * 4);
+        this.maxPush = this.codec.FS; // Keep pushes well inside ring capacity
+        this.reset();
+    }
+
+    // Rebuild the filter chain after MILCODEC.configureFilter()
+    setFilter() {
+        const onSpectrum = this.frontEnd.onSpectrum;
+        this.frontEnd = new MilcodecFrontEnd(this.codec);
+        this.frontEnd.onSpectrum = onSpectrum;
+    }
+
+    // Restart floor learning from a calibrated value (null: learn from scratch)
+    setNoiseFloor(noiseFloor) {
+        this.noiseFloor = noiseFloor;
+        this.detector = new MilcodecPeakDetector(noiseFloor, this.codec);
+    }
+
+    reset() {
+        this.ring.end = 0;
+        this.scanPos = 0;
+        this.detector = new MilcodecPeakDetector(this.noiseFloor, this.codec);
+        this.peaks = [];
+        this.bits = [];
+        this.soft = [];
+        this.loop = null;
+        this.preamble = [];
+        this.decodeMs = 0;
+        this.packetStart = 0;
+        this.version = 1;
+        this.headerLength = 0;
+        this.payloadLength = 0;
+        this.setState('HUNTING');
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        if (this.onState) this.onState(state);
+    }
+
+    push(chunk) {
+        const filtered = this.frontEnd.process(chunk);
+        for (let i = 0; i < filtered.length; i += this.maxPush) {
+            this.ring.push(filtered.subarray(i, i + this.maxPush));
+            this.process();
+        }
+    }
+
+    process() {
+        // A state may hand over to another that can make progress on the
+        // same samples, so loop until nothing moves
+        let progressed = true;
+        while (progressed) {
+            progressed = this.state === 'HUNTING' ? this.hunt() : this.readSymbols();
+        }
+    }
+
+    // Incremental preamble search over the newly arrived samples
+    hunt() {
+        const len = this.codec.upChirp.length;
+        const step = this.codec.SEARCH_STEP;
+
+        // Only whole grid cells, so peaks match a batch decode of the same audio
+        this.scanPos = Math.max(this.scanPos, this.ring.start);
+        const cellCount = Math.floor((this.ring.end - len + 1 - this.scanPos) / step);
+        if (cellCount <= 0) return false;
+
+        const from = this.scanPos;
+        const corr = this.codec.matchedFilter(this.ring.read(from, cellCount * step + len - 1));
+        const cells = this.codec.correlationCells(corr, 0, corr.length, from);
+
+        for (const cell of cells) {
+            this.scanPos = cell.index + step;
+            const peak = this.detector.push(cell);
+            if (!peak) continue;
+
+            this.peaks.push(peak);
+            if (this.peaks.length > 4) this.peaks.shift();
+            if (this.peaks.length === 4 && this.codec.isPreamble(...this.peaks)) {
+                console.log(`[DECODER] Preamble found at ${this.peaks[0].index} (noise floor ${this.detector.floor.toFixed(1)})`);
+                this.packetStart = this.peaks[0].index;
+                this.loop = this.codec.createTimingLoop(this.peaks);
+                this.preamble = this.peaks.slice();
+                this.decodeMs = 0;
+                this.bits = [];
+                this.soft = [];
+                this.setState('SYNCED');
+                if (this.onPreamble) {
+                    this.onPreamble({ profile: this.codec.PROFILE, offset: this.packetStart, noiseFloor: this.detector.floor });
+                }
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Decide symbols for which the whole tracking window is available
+    readSymbols() {
+        const len = this.codec.upChirp.length;
+        const window = this.codec.TRACK_WINDOW;
+        let progressed = false;
+
+        while (Math.round(this.loop.next) + window + len <= this.ring.end) {
+            const started = performance.now();
+            const from = Math.max(this.ring.start, Math.round(this.loop.next) - window);
+            const to = Math.round(this.loop.next) + window + len;
+            const corr = this.codec.matchedFilter(this.ring.read(from, to - from));
+            const symbol = this.codec.trackSymbol(corr, this.loop, from);
+
+            this.bits.push(symbol.bit);
+            this.soft.push(symbol.soft);
+            this.decodeMs += performance.now() - started;
+            progressed = true;
+
+            if (this.advance()) {
+                this.reportProgress();
+                return true;
+            }
+        }
+        if (progressed) this.reportProgress();
+        return progressed;
+    }
+
+    reportProgress() {
+        if (!this.onProgress || this.state === 'HUNTING') return;
+        const totalSymbols = this.state === 'READING_PAYLOAD'
+            ? 16 + this.headerLength + this.codec.payloadSymbols(this.version, this.payloadLength)
+            : null;
+        this.onProgress({
+            profile: this.codec.PROFILE,
+            state: this.state,
+            offset: this.packetStart,
+            symbols: this.bits.length,
+            totalSymbols
+        });
+    }
+
+    // Apply state transitions after each new bit; true if state changed
+    advance() {
+        const n = this.bits.length;
+
+        if (this.state === 'SYNCED' && n === 16) {
+            const { version, distance } = this.codec.detectVersion(this.bits);
+            const syncError = this.codec.checkSync(distance);
+            if (syncError) return this.drop(syncError);
+
+            this.version = version;
+            this.headerLength = this.codec.headerSymbols(version);
+            this.setState('READING_LENGTH');
+            return true;
+        }
+
+        if (this.state === 'READING_LENGTH' && n === 16 + this.headerLength) {
+            const header = this.codec.decodeHeader(this.version, this.soft.slice(16));
+            const headerError = this.codec.checkHeader(this.version, header);
+            if (headerError) return this.drop(headerError);
+
+            this.payloadLength = header.length;
+            this.setState('READING_PAYLOAD');
+            return true;
+        }
+
+        const dataStart = 16 + this.headerLength;
+        if (this.state === 'READING_PAYLOAD' &&
+            n === dataStart + this.codec.payloadSymbols(this.version, this.payloadLength)) {
+            const started = performance.now();
+            const bytes = this.codec.decodePayload(this.version, this.soft.slice(dataStart), this.payloadLength);
+            const diagnostics = this.codec.diagnostics({
+                preamble: this.preamble,
+                soft: this.soft,
+                version: this.version,
+                payloadStart: dataStart,
+                bytes,
+                loop: this.loop,
+                decodeMs: this.decodeMs + performance.now() - started
+            });
+            this.codec.logDiagnostics(diagnostics);
+            const info = {
+                offset: this.packetStart,
+                version: this.version,
+                profile: this.codec.PROFILE,
+                diagnostics,
+                notches: this.frontEnd.notchFrequencies()
+            };
+            this.rehunt(Math.round(this.loop.next));
+            this.onPacket(bytes, info);
+            return true;
+        }
+
+        return false;
+    }
+
+    // Noise-triggered or damaged preamble: report it and look again just past it
+    drop(rejection) {
+        const offset = this.packetStart;
+        this.rehunt(this.packetStart + this.codec.SEARCH_STEP);
+        if (this.onReject) this.onReject({ ...rejection, profile: this.codec.PROFILE, offset });
+        return true;
+    }
+
+    rehunt(position) {
+        this.scanPos = Math.max(position, this.ring.start);
+        this.detector.clear();
+        this.peaks = [];
+        this.bits = [];
+        this.soft = [];
+        this.setState('HUNTING');
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * MILCODEC Forward Error Correction
+ * Convolutional code K=7, rate 1/2 (generators 171/133 octal, tail-terminated)
+ * with soft-decision Viterbi decoding and a block interleaver against bursts.
+ *
+ * Soft values: positive means bit 1, magnitude is confidence.
+ */
+
+const MilcodecFEC = {
+    K: 7,
+    GENERATORS: [0o171, 0o133],
+    INTERLEAVE_DEPTH: 16,
+
+    // Branch outputs per 7-bit shift register value, built on first use
+    outputs: null,
+
+    parity(x) {
+        let p = 0;
+        while (x) {
+            p ^= x & 1;
+            x >>= 1;
+        }
+        return p;
+    },
+
+    buildOutputs() {
+        const size = 1 << this.K;
+        this.outputs = [new Uint8Array(size), new Uint8Array(size)];
+        for (let reg = 0; reg < size; reg++) {
+            this.outputs[0][reg] = this.parity(reg & this.GENERATORS[0]);
+            this.outputs[1][reg] = this.parity(reg & this.GENERATORS[1]);
+        }
+    },
+
+    // Coded symbols for n data bits, including the K-1 tail bits
+    codedLength(n) {
+        return (n + this.K - 1) * 2;
+    },
+
+    encode(bits) {
+        if (!this.outputs) this.buildOutputs();
+
+        const m = this.K - 1;
+        const coded = new Uint8Array(this.codedLength(bits.length));
+        let state = 0;
+
+        for (let t = 0; t < bits.length + m; t++) {
+            const b = t < bits.length ? bits[t] : 0; // Zero tail flushes back to state 0
+            const reg = (b << m) | state;
+            coded[2 * t] = this.outputs[0][reg];
+            coded[2 * t + 1] = this.outputs[1][reg];
+            state = reg >> 1;
+        }
+
+        return coded;
+    },
+
+    // Maximum-likelihood decode of n data bits from codedLength(n) soft values
+    viterbi(soft, n) {
+        if (!this.outputs) this.buildOutputs();
+
+        const m = this.K - 1;
+        const numStates = 1 << m;
+        const steps = n + m;
+
+        let metrics = new Float64Array(numStates).fill(-Infinity);
+        let next = new Float64Array(numStates);
+        metrics[0] = 0; // Encoder starts in state 0
+
+        // decisions[t][ns] = low bit of the surviving predecessor register
+        const decisions = new Array(steps);
+
+        for (let t = 0; t < steps; t++) {
+            const s0 = soft[2 * t];
+            const s1 = soft[2 * t + 1];
+            const decision = new Uint8Array(numStates);
+
+            for (let ns = 0; ns < numStates; ns++) {
+                let best = -Infinity;
+                let bestX = 0;
+
+                for (let x = 0; x < 2; x++) {
+                    const reg = (ns << 1) | x;
+                    const prev = reg & (numStates - 1);
+                    if (metrics[prev] === -Infinity) continue;
+
+                    const branch = s0 * (2 * this.outputs[0][reg] - 1) +
+                        s1 * (2 * this.outputs[1][reg] - 1);
+                    const metric = metrics[prev] + branch;
+                    if (metric > best) {
+                        best = metric;
+                        bestX = x;
+                    }
+                }
+
+                next[ns] = best;
+                decision[ns] = bestX;
+            }
+
+            decisions[t] = decision;
+            [metrics, next] = [next, metrics];
+        }
+
+        // Tail-terminated: trace back from state 0
+        const bits = new Uint8Array(n);
+        let state = 0;
+        for (let t = steps - 1; t >= 0; t--) {
+            if (t < n) bits[t] = (state >> (m - 1)) & 1;
+            const reg = (state << 1) | decisions[t][state];
+            state = reg & (numStates - 1);
+        }
+
+        return bits;
+    },
+
+    // Block interleaver: write row-wise into `depth` columns, read column-wise.
+    // Returns the permutation: output position k carries input index order[k].
+    interleaveOrder(n, depth = this.INTERLEAVE_DEPTH) {
+        const order = new Uint32Array(n);
+        let k = 0;
+        for (let col = 0; col < depth; col++) {
+            for (let i = col; i < n; i += depth) order[k++] = i;
+        }
+        return order;
+    },
+
+    interleave(values, depth = this.INTERLEAVE_DEPTH) {
+        const order = this.interleaveOrder(values.length, depth);
+        const out = new values.constructor(values.length);
+        for (let k = 0; k < order.length; k++) out[k] = values[order[k]];
+        return out;
+    },
+
+    deinterleave(values, depth = this.INTERLEAVE_DEPTH) {
+        const order = this.interleaveOrder(values.length, depth);
+        const out = new values.constructor(values.length);
+        for (let k = 0; k < order.length; k++) out[order[k]] = values[k];
+        return out;
+    }
+};
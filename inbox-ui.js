@@ -0,0 +1,186 @@
+/**
+ * MILCODEC Inbox View
+ * Renders MilcodecMessageStore with search, priority/sender filters,
+ * read state, per-message delete, wipe-all and JSON export of a selection.
+ * Long messages still being reassembled are listed on top with their progress.
+ * While the vault is locked nothing is shown, not even messages waiting to be saved.
+ */
+
+class MilcodecInboxView {
+    constructor(container, store, { onOpen = null } = {}) {
+        this.container = container;
+        this.store = store;
+        this.onOpen = onOpen;
+        this.filter = { text: '', priority: 'ALL', sender: 'ALL' };
+        this.selected = new Set();
+
+        this.build();
+        store.subscribe(() => this.renderList());
+        MilcodecVault.subscribe(() => this.renderList());
+        this.renderList();
+    }
+
+    el(tag, props = {}, children = []) {
+        const node = document.createElement(tag);
+        Object.assign(node, props);
+        for (const child of children) node.append(child);
+        return node;
+    }
+
+    option(value, text) {
+        return this.el('option', { value, textContent: text });
+    }
+
+    build() {
+        const search = this.el('input', { type: 'search', placeholder: 'Search' });
+        search.addEventListener('input', () => {
+            this.filter.text = search.value;
+            this.renderList();
+        });
+
+        const priority = this.el('select', {}, [
+            this.option('ALL', 'All priorities'),
+            ...['FLASH', 'IMMEDIATE', 'PRIORITY', 'ROUTINE'].map((p) => this.option(p, p))
+        ]);
+        priority.addEventListener('change', () => {
+            this.filter.priority = priority.value;
+            this.renderList();
+        });
+
+        this.senderSelect = this.el('select');
+        this.senderSelect.addEventListener('change', () => {
+            this.filter.sender = this.senderSelect.value;
+            this.renderList();
+        });
+
+        this.exportBtn = this.el('button', { className: 'small-btn', textContent: 'EXPORT' });
+        this.exportBtn.addEventListener('click', () => this.exportSelected());
+
+        const wipeBtn = this.el('button', { className: 'small-btn danger', textContent: 'WIPE ALL' });
+        wipeBtn.addEventListener('click', () => this.wipe());
+
+        this.notice = this.el('div', { className: 'inbox-notice' });
+        this.list = this.el('div', { className: 'inbox-list' });
+
+        this.toolbars = [
+            this.el('div', { className: 'inbox-toolbar' }, [search, priority, this.senderSelect]),
+            this.el('div', { className: 'inbox-toolbar' }, [this.exportBtn, wipeBtn])
+        ];
+        this.container.replaceChildren(...this.toolbars, this.notice, this.list);
+    }
+
+    renderSenders() {
+        const senders = this.store.senders();
+        if (this.filter.sender !== 'ALL' && this.filter.sender !== 'UNVERIFIED' && !senders.includes(this.filter.sender)) {
+            this.filter.sender = 'ALL';
+        }
+        this.senderSelect.replaceChildren(
+            this.option('ALL', 'All senders'),
+            this.option('UNVERIFIED', 'Unverified'),
+            ...senders.map((s) => this.option(s, s))
+        );
+        this.senderSelect.value = this.filter.sender;
+    }
+
+    renderList() {
+        const unlocked = MilcodecVault.isUnlocked();
+        for (const toolbar of this.toolbars) toolbar.hidden = !unlocked;
+        if (!unlocked) {
+            const waiting = this.store.messages.length;
+            this.selected.clear();
+            this.notice.textContent = waiting > 0
+                ? `Vault locked: messages hidden, ${waiting} new saved on unlock`
+                : 'Vault locked: messages hidden, new messages are saved on unlock';
+            this.list.replaceChildren();
+            return;
+        }
+
+        this.renderSenders();
+
+        const ids = new Set(this.store.messages.map((m) => m.id));
+        for (const id of this.selected) if (!ids.has(id)) this.selected.delete(id);
+        this.exportBtn.textContent = this.selected.size > 0 ? `EXPORT (${this.selected.size})` : 'EXPORT';
+
+        this.notice.textContent = '';
+
+        const partials = [...this.store.partials.values()].map((p) => this.el('div', {
+            className: 'message-item partial',
+            textContent: `Receiving long message... ${p.received}/${p.count} fragments`
+        }));
+
+        const messages = this.store.query(this.filter);
+        if (messages.length === 0) {
+            const text = this.store.messages.length === 0 ? 'Waiting for transmission...' : 'No messages match';
+            this.list.replaceChildren(...partials, this.el('div', { className: 'empty-state', textContent: text }));
+            return;
+        }
+
+        this.list.replaceChildren(...partials, ...messages.map((m) => this.renderItem(m)));
+    }
+
+    renderItem(message) {
+        const time = new Date(message.receivedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const auth = message.verified ? `✅ ${message.sender}` : `⚠️ ${message.signature}`;
+        const copies = message.copies > 1 ? ` • ×${message.copies}` : '';
+        const fragments = message.signal.fragments ? ` • ${message.signal.fragments} fragments` : '';
+        const diagnostics = message.signal.diagnostics;
+        const snr = diagnostics ? ` • ${message.signal.profile ? message.signal.profile + ' ' : ''}${diagnostics.snrDb} dB` : '';
+
+        const checkbox = this.el('input', { type: 'checkbox', checked: this.selected.has(message.id) });
+        checkbox.addEventListener('click', (e) => e.stopPropagation());
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) this.selected.add(message.id);
+            else this.selected.delete(message.id);
+            this.exportBtn.textContent = this.selected.size > 0 ? `EXPORT (${this.selected.size})` : 'EXPORT';
+        });
+
+        const removeBtn = this.el('button', { className: 'small-btn danger', textContent: '✕', title: 'Delete' });
+        removeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.store.remove(message.id).catch((err) => console.error('[INBOX] Delete failed:', err.message));
+        });
+
+        const item = this.el('div', {
+            className: `message-item ${message.priority.toLowerCase()}${message.read ? '' : ' unread'}`,
+            title: diagnostics ? MilcodecPipeline.describeSignal(diagnostics) : ''
+        }, [
+            checkbox,
+            this.el('div', { className: 'message-body' }, [
+                this.el('div', { className: 'message-content', textContent: message.content }),
+                this.el('div', {
+                    className: 'message-meta',
+                    textContent: `${time} • ${message.priority} • ${auth} • 🔑 ${message.keyName}${fragments}${snr}${copies}`
+                })
+            ]),
+            removeBtn
+        ]);
+        item.addEventListener('click', () => this.open(message));
+        return item;
+    }
+
+    open(message) {
+        if (!message.read) {
+            this.store.update(message.id, { read: true }).catch((err) => console.error('[INBOX] Update failed:', err.message));
+        }
+        if (this.onOpen) this.onOpen(message);
+    }
+
+    exportSelected() {
+        if (this.selected.size === 0) {
+            this.notice.textContent = 'Select messages to export';
+            return;
+        }
+
+        const json = this.store.exportJSON([...this.selected]);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = this.el('a', { href: url, download: `milcodec-export-${new Date().toISOString().slice(0, 19).replace(/:/g, '')}.json` });
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    wipe() {
+        if (!confirm('Delete all stored messages? This cannot be undone.')) return;
+        this.selected.clear();
+        this.store.wipe().catch((err) => console.error('[INBOX] Wipe failed:', err.message));
+    }
+}
@@ -0,0 +1,351 @@
+/**
+ * MILCODEC Key Panel
+ * Sets up and unlocks the vault, lists stored channel keys and imports new ones
+ * (hex entry, key file or QR code), and keeps the trusted sender list. Keys
+ * and senders are pushed to the decoder worker whenever the vault unlocks
+ * (from here or elsewhere). When it locks they stay for a capture already
+ * running and are withdrawn as soon as it stops (see MilcodecPipeline.lockVault).
+ *
+ * Key file / QR contents: bare 64-char hex, or JSON { "name": ..., "key": ... }.
+ * Sender entry: bare 64-char hex public key, or JSON { "name": ..., "publicKey": ... }.
+ */
+
+class MilcodecKeyPanel {
+    constructor(container, pipeline) {
+        this.container = container;
+        this.pipeline = pipeline;
+        this.names = [];
+        this.senderNames = [];
+        this.publicKeyHex = null;
+        this.scanStream = null;
+        this.vaultExists = true; // Until checked; false shows the first-run setup form
+
+        MilcodecVault.subscribe((unlocked) => (unlocked ? this.loadKeys() : this.unloadKeys()));
+        // The worker's in-memory copy of the replay cache goes with the stored one
+        MilcodecVault.subscribeWipe(() => this.pipeline.clearReplayCache());
+        this.render();
+        MilcodecVault.exists().then((exists) => {
+            this.vaultExists = exists;
+            if (!exists) this.render();
+        });
+        // Stored keys count as configured before the first unlock loads them
+        MilcodecVault.hasKeys().then((stored) => {
+            if (stored && !MilcodecVault.isUnlocked()) this.pipeline.withdrawKeys();
+        });
+    }
+
+    // --- DOM helpers (no innerHTML: key names are user input) ---
+
+    el(tag, props = {}, children = []) {
+        const node = document.createElement(tag);
+        Object.assign(node, props);
+        for (const child of children) node.append(child);
+        return node;
+    }
+
+    render() {
+        this.container.replaceChildren();
+        this.container.append(this.el('div', { className: 'section-header', textContent: 'CHANNEL KEYS' }));
+
+        const body = this.el('div', { className: 'key-body' });
+        this.errorLine = this.el('div', { className: 'key-error' });
+
+        if (MilcodecVault.isUnlocked()) {
+            this.renderUnlocked(body);
+        } else if (!this.vaultExists) {
+            this.renderSetup(body);
+        } else {
+            this.renderLocked(body);
+        }
+
+        body.append(this.errorLine);
+        this.container.append(body);
+    }
+
+    renderLocked(body) {
+        const passphrase = this.el('input', { type: 'password', placeholder: 'Vault passphrase', autocomplete: 'current-password' });
+        const unlockBtn = this.el('button', { className: 'small-btn', textContent: 'UNLOCK' });
+
+        const submit = () => this.unlock(passphrase.value).finally(() => { passphrase.value = ''; });
+        unlockBtn.addEventListener('click', submit);
+        passphrase.addEventListener('keydown', (e) => { if (e.key === 'Enter') submit(); });
+
+        body.append(
+            this.el('div', { className: 'key-hint', textContent: 'Keys are stored encrypted under the vault passphrase.' }),
+            this.el('div', { className: 'key-form' }, [passphrase, unlockBtn])
+        );
+    }
+
+    renderSetup(body) {
+        const passphrase = this.el('input', { type: 'password', placeholder: 'New passphrase', autocomplete: 'new-password' });
+        const confirm = this.el('input', { type: 'password', placeholder: 'Repeat passphrase', autocomplete: 'new-password' });
+        const duress = this.el('input', { type: 'password', placeholder: 'Duress passphrase (optional)', autocomplete: 'off' });
+        const setupBtn = this.el('button', { className: 'small-btn', textContent: 'CREATE' });
+
+        setupBtn.addEventListener('click', () => {
+            this.setup(passphrase.value, confirm.value, duress.value).finally(() => {
+                for (const input of [passphrase, confirm, duress]) input.value = '';
+            });
+        });
+
+        body.append(
+            this.el('div', { className: 'key-hint', textContent: 'Choose the vault passphrase. A duress passphrase opens an empty vault and silently erases the real one.' }),
+            this.el('div', { className: 'key-form' }, [passphrase, confirm]),
+            this.el('div', { className: 'key-form' }, [duress, setupBtn])
+        );
+    }
+
+    renderUnlocked(body) {
+        const list = this.el('div', { className: 'key-list' });
+        if (this.names.length === 0) {
+            list.append(this.el('div', { className: 'empty-state', textContent: 'No channel keys (using insecure default key)' }));
+        }
+        for (const name of this.names) {
+            const removeBtn = this.el('button', { className: 'small-btn danger', textContent: 'DELETE' });
+            removeBtn.addEventListener('click', () => this.removeKey(name));
+            list.append(this.el('div', { className: 'key-row' }, [
+                this.el('span', { textContent: name }),
+                removeBtn
+            ]));
+        }
+
+        this.nameInput = this.el('input', { type: 'text', placeholder: 'Channel name' });
+        this.hexInput = this.el('input', { type: 'password', placeholder: '64 hex characters', autocomplete: 'off' });
+        const addBtn = this.el('button', { className: 'small-btn', textContent: 'ADD' });
+        addBtn.addEventListener('click', () => this.importText(this.hexInput.value, this.nameInput.value));
+
+        const fileInput = this.el('input', { type: 'file', accept: '.key,.txt,.json', hidden: true });
+        fileInput.addEventListener('change', () => this.importFile(fileInput.files[0]).finally(() => { fileInput.value = ''; }));
+        const fileBtn = this.el('button', { className: 'small-btn', textContent: 'KEY FILE' });
+        fileBtn.addEventListener('click', () => fileInput.click());
+
+        const qrBtn = this.el('button', { className: 'small-btn', textContent: 'SCAN QR' });
+        qrBtn.addEventListener('click', () => (this.scanStream ? this.stopScan() : this.scanQr()));
+
+        const lockBtn = this.el('button', { className: 'small-btn', textContent: 'LOCK' });
+        lockBtn.addEventListener('click', () => this.lock());
+
+        this.video = this.el('video', { className: 'qr-video', hidden: true, muted: true, playsInline: true });
+
+        const senders = this.el('div', { className: 'key-list' });
+        if (this.senderNames.length === 0) {
+            senders.append(this.el('div', { className: 'empty-state', textContent: 'No trusted senders (signatures unverified)' }));
+        }
+        for (const name of this.senderNames) {
+            const removeBtn = this.el('button', { className: 'small-btn danger', textContent: 'DELETE' });
+            removeBtn.addEventListener('click', () => this.removeSender(name));
+            senders.append(this.el('div', { className: 'key-row' }, [
+                this.el('span', { textContent: `✍ ${name}` }),
+                removeBtn
+            ]));
+        }
+
+        const senderName = this.el('input', { type: 'text', placeholder: 'Sender name' });
+        const senderHex = this.el('input', { type: 'text', placeholder: 'Ed25519 public key (64 hex)', autocomplete: 'off' });
+        const addSenderBtn = this.el('button', { className: 'small-btn', textContent: 'TRUST' });
+        addSenderBtn.addEventListener('click', () => this.importSender(senderHex.value, senderName.value));
+
+        if (this.publicKeyHex) {
+            body.append(this.el('div', { className: 'key-hint', textContent: 'Receiver ID (register with the sender to verify ACKs):' }));
+            body.append(this.el('div', { className: 'key-identity', textContent: this.publicKeyHex }));
+        }
+
+        body.append(
+            list,
+            this.el('div', { className: 'key-form' }, [this.nameInput, this.hexInput, addBtn]),
+            this.el('div', { className: 'key-form' }, [fileBtn, qrBtn, lockBtn, fileInput]),
+            this.video,
+            this.el('div', { className: 'key-hint', textContent: 'Trusted senders (signed messages show ✅):' }),
+            senders,
+            this.el('div', { className: 'key-form' }, [senderName, senderHex, addSenderBtn])
+        );
+    }
+
+    // Receiver public key to hand to senders (see MilcodecAckTransmitter)
+    showIdentity(publicKeyHex) {
+        this.publicKeyHex = publicKeyHex;
+        this.render();
+    }
+
+    showError(message) {
+        this.errorLine.textContent = message;
+    }
+
+    // --- Vault ---
+
+    async setup(passphrase, confirm, duress) {
+        try {
+            if (passphrase !== confirm) throw new Error('Passphrases do not match');
+            await MilcodecVault.setup(passphrase, duress || null);
+            this.vaultExists = true;
+        } catch (e) {
+            this.showError(e.message);
+        }
+    }
+
+    async unlock(passphrase) {
+        try {
+            await MilcodecVault.unlock(passphrase);
+        } catch (e) {
+            this.showError(e.message);
+        }
+    }
+
+    lock() {
+        MilcodecVault.lock();
+    }
+
+    async loadKeys() {
+        try {
+            const keys = await MilcodecVault.loadKeys();
+            this.pipeline.unlockVault();
+            this.pipeline.clearKeys();
+            for (const { name, keyHex } of keys) this.pipeline.addKey(name, keyHex);
+            this.names = keys.map((k) => k.name);
+
+            const senders = await MilcodecVault.loadSenders();
+            this.pipeline.clearSenders();
+            for (const { name, publicKeyHex } of senders) this.pipeline.addSender(name, publicKeyHex);
+            this.senderNames = senders.map((s) => s.name);
+            console.log(`[KEYS] ${keys.length} channel key(s), ${senders.length} trusted sender(s) loaded`);
+            this.render();
+        } catch (e) {
+            this.render();
+            this.showError(e.message);
+        }
+    }
+
+    unloadKeys() {
+        this.stopScan();
+        // Without configured keys the default key stays; with them, nothing decrypts
+        // once the running capture (if any) stops, until the next unlock
+        this.pipeline.lockVault(this.names.length > 0);
+        this.names = [];
+        this.senderNames = [];
+        this.publicKeyHex = null;
+        this.render();
+    }
+
+    async addKey(name, keyHex) {
+        if (!name) throw new Error('Channel name required');
+        await MilcodecVault.saveKey(name, keyHex);
+        this.pipeline.addKey(name, keyHex.trim());
+        if (!this.names.includes(name)) this.names.push(name);
+        this.render();
+    }
+
+    async removeKey(name) {
+        try {
+            await MilcodecVault.deleteKey(name);
+            this.pipeline.removeKey(name);
+            this.names = this.names.filter((n) => n !== name);
+            this.render();
+        } catch (e) {
+            this.showError(e.message);
+        }
+    }
+
+    async addSender(name, publicKeyHex) {
+        if (!name) throw new Error('Sender name required');
+        await MilcodecVault.saveSender(name, publicKeyHex);
+        this.pipeline.addSender(name, publicKeyHex.trim());
+        if (!this.senderNames.includes(name)) this.senderNames.push(name);
+        this.render();
+    }
+
+    async removeSender(name) {
+        try {
+            await MilcodecVault.deleteSender(name);
+            this.pipeline.removeSender(name);
+            this.senderNames = this.senderNames.filter((n) => n !== name);
+            this.render();
+        } catch (e) {
+            this.showError(e.message);
+        }
+    }
+
+    // --- Import ---
+
+    // Accepts bare hex or JSON { name, key }
+    async importText(text, fallbackName) {
+        try {
+            let name = fallbackName ? fallbackName.trim() : '';
+            let keyHex = text.trim();
+
+            if (keyHex.startsWith('{')) {
+                const parsed = JSON.parse(keyHex);
+                if (typeof parsed.key !== 'string') throw new Error('Key file has no "key" field');
+                keyHex = parsed.key;
+                if (typeof parsed.name === 'string' && parsed.name.trim()) name = parsed.name.trim();
+            }
+
+            await this.addKey(name, keyHex);
+        } catch (e) {
+            this.showError(e.message);
+        }
+    }
+
+    // Accepts a bare public key or JSON { name, publicKey }
+    async importSender(text, fallbackName) {
+        try {
+            let name = fallbackName ? fallbackName.trim() : '';
+            let publicKeyHex = text.trim();
+
+            if (publicKeyHex.startsWith('{')) {
+                const parsed = JSON.parse(publicKeyHex);
+                if (typeof parsed.publicKey !== 'string') throw new Error('Sender entry has no "publicKey" field');
+                publicKeyHex = parsed.publicKey;
+                if (typeof parsed.name === 'string' && parsed.name.trim()) name = parsed.name.trim();
+            }
+
+            await this.addSender(name, publicKeyHex);
+        } catch (e) {
+            this.showError(e.message);
+        }
+    }
+
+    async importFile(file) {
+        if (!file) return;
+        const fallbackName = (this.nameInput.value.trim() || file.name.replace(/\.[^.]*$/, ''));
+        await this.importText(await file.text(), fallbackName);
+    }
+
+    async scanQr() {
+        if (!('BarcodeDetector' in window)) {
+            this.showError('QR scanning is not supported in this browser; use a key file instead');
+            return;
+        }
+
+        try {
+            const detector = new BarcodeDetector({ formats: ['qr_code'] });
+            this.scanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+            this.video.srcObject = this.scanStream;
+            this.video.hidden = false;
+            await this.video.play();
+
+            const fallbackName = this.nameInput.value;
+            while (this.scanStream) {
+                const codes = await detector.detect(this.video);
+                if (codes.length > 0) {
+                    this.stopScan();
+                    await this.importText(codes[0].rawValue, fallbackName);
+                    return;
+                }
+                await new Promise((resolve) => setTimeout(resolve, 250));
+            }
+        } catch (e) {
+            this.stopScan();
+            this.showError(`QR scan failed: ${e.message}`);
+        }
+    }
+
+    stopScan() {
+        if (!this.scanStream) return;
+        this.scanStream.getTracks().forEach((track) => track.stop());
+        this.scanStream = null;
+        if (this.video) {
+            this.video.srcObject = null;
+            this.video.hidden = true;
+        }
+    }
+}
@@ -0,0 +1,10 @@
+/**
+ * MILCODEC receiver library: decode MILCODEC traffic from any audio source,
+ * in a browser or in Node, without the receiver pages. See README, "Embedding".
+ *
+ *   import { Receiver, MicrophoneSource } from './lib/milcodec.mjs';
+ */
+
+export { Receiver, RECEIVER_EVENTS } from './receiver.mjs';
+export { MicrophoneSource, AudioBufferSource, FileSource, StreamSource, CallbackSource } from './sources.mjs';
+export { parseWav } from './wav.mjs';
@@ -0,0 +1,122 @@
+/**
+ * MILCODEC Node Worker Host
+ * Runs decoder-worker.js in a vm context that provides the few worker globals
+ * it uses: importScripts, postMessage, timers, and fetch for the crypto
+ * self-check. Node then decodes and decrypts through exactly the code the
+ * browser runs. Same surface as a Worker: postMessage, onmessage, onerror,
+ * terminate.
+ */
+
+import vm from 'node:vm';
+import fs from 'node:fs';
+import path from 'node:path';
+import { webcrypto } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+export class NodeWorker {
+    // root: URL of the receiver folder (the one holding decoder-worker.js)
+    constructor(root, script = 'decoder-worker.js') {
+        this.root = fileURLToPath(root);
+        this.onmessage = null;
+        this.onerror = null;
+        this.timers = new Set();
+        this.terminated = false;
+
+        const context = vm.createContext({
+            console: { log: (...args) => this.forwardLog(args), error: (...args) => this.forwardLog(args), warn: (...args) => this.forwardLog(args) },
+            crypto: webcrypto,
+            performance,
+            TextDecoder,
+            atob,
+            btoa,
+            fetch: (url) => this.fetch(url),
+            importScripts: (...urls) => {
+                for (const url of urls) this.run(url);
+            },
+            postMessage: (data) => this.deliver(() => {
+                if (this.onmessage) this.onmessage({ data: structuredClone(data) });
+            }),
+            setTimeout: (fn, ms) => this.timer(setTimeout, fn, ms),
+            setInterval: (fn, ms) => this.timer(setInterval, fn, ms),
+            clearTimeout: (t) => this.clearTimer(t),
+            clearInterval: (t) => this.clearTimer(t)
+        });
+        context.self = context;
+
+        // As in a worker, encode() must return the context's own Uint8Array (nacl checks it)
+        const Bytes = vm.runInContext('Uint8Array', context);
+        context.TextEncoder = class {
+            encode(text) {
+                return new Bytes(new TextEncoder().encode(text));
+            }
+        };
+
+        this.context = context;
+        this.run(script);
+    }
+
+    run(url) {
+        const file = path.join(this.root, url);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), this.context, { filename: file });
+    }
+
+    postMessage(data) {
+        const message = { data: structuredClone(data), ports: [] };
+        this.deliver(() => {
+            if (this.context.onmessage) this.context.onmessage(message);
+        });
+    }
+
+    // Asynchronous like a real worker; setImmediate leaves room for I/O between messages
+    deliver(fn) {
+        setImmediate(() => {
+            if (this.terminated) return;
+            try {
+                fn();
+            } catch (e) {
+                if (this.onerror) this.onerror({ message: e.message });
+            }
+        });
+    }
+
+    terminate() {
+        this.terminated = true;
+        for (const t of this.timers) clearTimeout(t);
+        this.timers.clear();
+    }
+
+    forwardLog(args) {
+        this.deliver(() => {
+            if (this.onmessage) this.onmessage({ data: { type: 'log', text: args.join(' ') } });
+        });
+    }
+
+    // unref: the worker's housekeeping timers must not keep a batch job alive
+    timer(create, fn, ms) {
+        const t = create(() => {
+            if (create === setTimeout) this.timers.delete(t);
+            try {
+                fn();
+            } catch (e) {
+                if (this.onerror) this.onerror({ message: e.message });
+            }
+        }, ms);
+        t.unref();
+        this.timers.add(t);
+        return t;
+    }
+
+    clearTimer(t) {
+        clearTimeout(t);
+        this.timers.delete(t);
+    }
+
+    // Paths resolve against the receiver folder, as they would against the worker's URL
+    async fetch(url) {
+        try {
+            return new Response(await fs.promises.readFile(path.join(this.root, url)));
+        } catch (e) {
+            return new Response(null, { status: 404 });
+        }
+    }
+}
@@ -0,0 +1,353 @@
+/**
+ * MILCODEC Receiver
+ * Embeddable receiver: audio in from a source (see sources.mjs), typed
+ * events out. Decoding and decryption run in decoder-worker.js, as a Worker
+ * in browsers and in a vm context in Node (node-worker.mjs), so embedders
+ * run the same code as the receiver pages.
+ *
+ *   const receiver = new Receiver({ keys: { OPS: '<64 hex>' } });
+ *   receiver.on('message', ({ result }) => show(result.content));
+ *   const stats = await receiver.start(new FileSource('capture.wav'));
+ *
+ * Events (on(type, listener)); time is seconds into the current input:
+ *   preamble  { profile, offset, time, noiseFloor }  a packet starts
+ *   progress  { profile, state, offset, time, symbols, totalSymbols }
+ *             totalSymbols is null until the header gives the length
+ *   packet    { profile, offset, time, version, diagnostics, notches }
+ *             every decoded packet, whether or not it decrypts
+ *   message   { result, info, payload }  new message that decrypted. Under the
+ *             default 'FLAG' signature policy it may be unsigned or badly signed:
+ *             only result.verified means a trusted sender signed it
+ *   duplicate { result, info }  sender retransmission of one already delivered
+ *   fragment  { id, received, count }  part of a long message arrived
+ *   rejected  { result, info }  decoded but refused: key, signature, replay
+ *   dropped   { profile, offset, time, reason, detail }  damaged sync or header
+ *   capture   { name, wav, metadata }  black box WAV (ArrayBuffer), see configureBlackBox()
+ *   stats     see stats(); after each packet's outcome and at end of input
+ *   log       { text }  decoder log lines
+ *   error     { message }  worker problems with no caller to throw to
+ */
+
+const ROOT = new URL('../', import.meta.url);
+
+export const RECEIVER_EVENTS = [
+    'preamble', 'progress', 'packet', 'message', 'duplicate', 'fragment', 'rejected', 'dropped', 'capture', 'stats',
+    'log', 'error'
+];
+
+async function createWorker() {
+    if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+        const { NodeWorker } = await import('./node-worker.mjs');
+        return new NodeWorker(ROOT);
+    }
+    return new Worker(new URL('decoder-worker.js', ROOT));
+}
+
+export class Receiver {
+    // mode: 'AUTO' (every enabled profile at once) or a MILCODEC.PROFILES name
+    // keys: { name: 64-hex channel key }; with none loaded the public demo key applies
+    // senders: { name: 64-hex Ed25519 public key }; signaturePolicy: 'FLAG' | 'DROP'
+    // blackBox: options for configureBlackBox()
+    // freshness: check sender timestamps against the clock (STALE if over 5 min
+    // apart). By default on for live sources, off for recordings (source.recorded)
+    constructor({
+        mode = 'AUTO', keys = {}, senders = {}, signaturePolicy = null, blackBox = null, freshness = null
+    } = {}) {
+        this.listeners = new Map(RECEIVER_EVENTS.map((type) => [type, new Set()]));
+        this.requests = new Map(); // requestId -> { resolve, reject }
+        this.nextRequestId = 0;
+        this.run = null; // Input being decoded: { source, sampleRate, samples, resolve, reject, ending }
+        this.counts = Receiver.emptyCounts();
+        this.freshness = freshness;
+
+        this.selfCheckResult = new Promise((resolve) => { this.resolveSelfCheck = resolve; });
+        this.worker = createWorker().then((worker) => {
+            worker.onmessage = (e) => this.handleWorkerMessage(e.data);
+            worker.onerror = (e) => {
+                const message = `Decoder worker failed: ${e.message || 'could not load'}`;
+                this.resolveSelfCheck({ ok: false, failures: [message] });
+                this.emit('error', { message });
+            };
+            return worker;
+        });
+        this.worker.catch((e) => this.resolveSelfCheck({ ok: false, failures: [`Decoder worker failed: ${e.message}`] }));
+
+        this.setReceiveMode(mode);
+        for (const [name, keyHex] of Object.entries(keys)) this.addKey(name, keyHex);
+        for (const [name, publicKeyHex] of Object.entries(senders)) this.addSender(name, publicKeyHex);
+        if (signaturePolicy) this.setSignaturePolicy(signaturePolicy);
+        if (blackBox) this.configureBlackBox(blackBox);
+    }
+
+    static emptyCounts() {
+        return { preambles: 0, packets: 0, messages: 0, duplicates: 0, rejected: 0, dropped: 0 };
+    }
+
+    // One-shot: decode a finite source and collect what it held
+    // -> { messages, rejected, packets, dropped, stats }, arrays of the matching events
+    static async decode(source, options = {}) {
+        const receiver = new Receiver(options);
+        const found = { messages: [], rejected: [], packets: [], dropped: [] };
+        receiver.on('message', (e) => found.messages.push(e));
+        receiver.on('rejected', (e) => found.rejected.push(e));
+        receiver.on('packet', (e) => found.packets.push(e));
+        receiver.on('dropped', (e) => found.dropped.push(e));
+        try {
+            return { ...found, stats: await receiver.start(source) };
+        } finally {
+            receiver.close();
+        }
+    }
+
+    // -> function that removes the listener
+    on(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) throw new Error(`Unknown receiver event: ${type}`);
+        listeners.add(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (listeners) listeners.delete(listener);
+    }
+
+    // A throwing listener is reported like one on an EventTarget, without stopping the others
+    emit(type, event) {
+        for (const listener of this.listeners.get(type)) {
+            try {
+                listener(event);
+            } catch (e) {
+                queueMicrotask(() => { throw e; });
+            }
+        }
+    }
+
+    handleWorkerMessage(msg) {
+        switch (msg.type) {
+            case 'selfCheck':
+                this.resolveSelfCheck(msg.result);
+                break;
+            case 'preamble':
+                this.counts.preambles++;
+                this.emit('preamble', this.timed(msg.preamble));
+                break;
+            case 'progress':
+                this.emit('progress', this.timed(msg.progress));
+                break;
+            case 'packet':
+                this.counts.packets++;
+                this.emit('packet', this.timed(msg.info));
+                break;
+            case 'message':
+                this.counts.messages++;
+                this.emit('message', { result: msg.result, info: this.timed(msg.info), payload: msg.payload });
+                this.emitStats();
+                break;
+            case 'duplicate':
+                this.counts.duplicates++;
+                this.emit('duplicate', { result: msg.result, info: this.timed(msg.info) });
+                this.emitStats();
+                break;
+            case 'rejected':
+                this.counts.rejected++;
+                this.emit('rejected', { result: msg.result, info: this.timed(msg.info) });
+                this.emitStats();
+                break;
+            case 'dropped':
+                this.counts.dropped++;
+                this.emit('dropped', this.timed(msg.rejection));
+                this.emitStats();
+                break;
+            case 'fragment':
+                this.emit('fragment', msg.progress);
+                this.emitStats();
+                break;
+            case 'capture':
+                this.emit('capture', msg.capture);
+                break;
+            case 'log':
+                this.emit('log', { text: msg.text });
+                break;
+            case 'reply': {
+                const request = this.requests.get(msg.requestId);
+                if (!request) break;
+                this.requests.delete(msg.requestId);
+                if (msg.error) request.reject(new Error(msg.error));
+                else request.resolve(msg.result);
+                break;
+            }
+            case 'error':
+                this.emit('error', { message: msg.message });
+                break;
+        }
+    }
+
+    // Adds time (s) to anything carrying a sample offset
+    timed(event) {
+        const sampleRate = this.run && this.run.sampleRate;
+        return { ...event, time: sampleRate ? event.offset / sampleRate : null };
+    }
+
+    // -> { sampleRate, seconds, preambles, packets, messages, duplicates, rejected, dropped }
+    // for the current input, or the last one once it has ended
+    stats() {
+        if (this.run) {
+            const { source, sampleRate, samples } = this.run;
+            const position = typeof source.position === 'function' ? source.position() : samples;
+            this.lastInput = { sampleRate, seconds: sampleRate ? position / sampleRate : 0 };
+        }
+        return { ...(this.lastInput || { sampleRate: null, seconds: 0 }), ...this.counts };
+    }
+
+    emitStats() {
+        this.emit('stats', this.stats());
+    }
+
+    // -> { ok, failures } from the worker's startup crypto self-check (MilcodecSelfCheck)
+    selfCheck() {
+        return this.selfCheckResult;
+    }
+
+    // Decode source until it ends (finite inputs) or stop(). Resolves with the
+    // final stats(); rejects if the self-check fails or the source cannot start.
+    async start(source) {
+        if (this.run) throw new Error('Receiver is already running; stop() it first');
+        const run = { source, sampleRate: null, samples: 0, ending: false };
+        this.run = run;
+
+        const check = await this.selfCheck();
+        if (!check.ok) {
+            this.run = null;
+            throw new Error(`Crypto self-check failed: ${check.failures.join('; ')}`);
+        }
+
+        this.counts = Receiver.emptyCounts();
+        this.lastInput = null;
+        return new Promise((resolve, reject) => {
+            run.resolve = resolve;
+            run.reject = reject;
+            Promise.resolve()
+                .then(() => source.open(this.createSink(run)))
+                .catch((e) => this.finish(run, e));
+        });
+    }
+
+    // What a source delivers into (see sources.mjs); inert once its run is over
+    createSink(run) {
+        const live = () => this.run === run && !run.ending;
+        return {
+            start: (sampleRate) => {
+                run.sampleRate = sampleRate;
+                const freshness = this.freshness ?? !run.source.recorded;
+                return this.call('start', { sampleRate, freshness });
+            },
+            write: (samples) => {
+                if (!live()) return;
+                run.samples += samples.length;
+                this.post({ type: 'audio', samples });
+            },
+            end: () => {
+                if (!live()) return;
+                run.ending = true;
+                this.call('drain').then(() => this.finish(run, null), (e) => this.finish(run, e));
+            },
+            connectPort: () => {
+                const channel = new MessageChannel();
+                this.post({ type: 'connect' }, [channel.port2]);
+                return channel.port1;
+            }
+        };
+    }
+
+    finish(run, error) {
+        if (this.run !== run) return;
+        const stats = this.stats();
+        this.run = null;
+        run.source.close();
+        this.post({ type: 'reset' });
+        this.emit('stats', stats);
+        if (error) run.reject(error);
+        else run.resolve(stats);
+    }
+
+    // Ends the current input; its start() resolves with the stats so far
+    stop() {
+        if (this.run && this.run.resolve) this.finish(this.run, null);
+    }
+
+    // Stop and shut the worker down; the receiver cannot be used afterwards
+    close() {
+        this.stop();
+        this.worker.then((worker) => worker.terminate(), () => {});
+    }
+
+    post(msg, transfer = []) {
+        this.worker.then((worker) => worker.postMessage(msg, transfer), () => {});
+    }
+
+    // Request/response round trip to the worker
+    call(type, data = {}) {
+        const requestId = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.requests.set(requestId, { resolve, reject });
+            this.post({ ...data, type, requestId });
+        });
+    }
+
+    // 'AUTO' or a MILCODEC.PROFILES name; applies straight away, also mid-input
+    setReceiveMode(mode) {
+        const autoScan = mode === 'AUTO';
+        this.post({ type: 'setReceiveMode', ...(autoScan ? { autoScan } : { profile: mode, autoScan }) });
+    }
+
+    addKey(name, keyHex) {
+        this.post({ type: 'addKey', name, keyHex });
+    }
+
+    removeKey(name) {
+        this.post({ type: 'removeKey', name });
+    }
+
+    clearKeys() {
+        this.post({ type: 'clearKeys' });
+    }
+
+    addSender(name, publicKeyHex) {
+        this.post({ type: 'addSender', name, publicKeyHex });
+    }
+
+    removeSender(name) {
+        this.post({ type: 'removeSender', name });
+    }
+
+    clearSenders() {
+        this.post({ type: 'clearSenders' });
+    }
+
+    setSignaturePolicy(policy) {
+        this.post({ type: 'setSignaturePolicy', policy });
+    }
+
+    // Seed the detector with seconds of ambient noise from the running input.
+    // Resolves { noiseFloors: { profile: floor } }.
+    calibrate(seconds = 3) {
+        return this.call('calibrate', { seconds });
+    }
+
+    // Raw capture ring (see blackbox.js): { trigger: 'off' | 'failed' | 'preamble',
+    // seconds, preTrigger, postTrigger, maxSeconds, format: 'float32' | 'int16' }.
+    // Triggered captures arrive as 'capture' events.
+    configureBlackBox(options) {
+        this.post({ type: 'configureBlackBox', options });
+    }
+
+    // The black box's last seconds now -> { name, wav, metadata }
+    saveCapture() {
+        return this.call('saveCapture');
+    }
+
+    clearReplayCache() {
+        this.post({ type: 'clearReplayCache' });
+    }
+}
@@ -0,0 +1,217 @@
+/**
+ * MILCODEC Receiver Sources
+ * Where a Receiver's audio comes from. A source is any object with:
+ *   open(sink)  start delivering, may be async. In order:
+ *                 await sink.start(sampleRate)  once, before any audio
+ *                 sink.write(samples)           mono Float32Array chunks
+ *                 sink.end()                    when a finite input runs out
+ *   close()     stop delivering (Receiver.stop() or end of input)
+ *   recorded    optional; true for audio recorded earlier, whose sender
+ *               timestamps are not checked against the clock
+ * Live capture may instead hand audio to the decoder worker over
+ * sink.connectPort(), so it never passes through the page's thread.
+ */
+
+import { parseWav } from './wav.mjs';
+
+const CHUNK = 4096; // Samples per write, as the capture worklet batches them
+
+const capturingContexts = new WeakSet(); // Contexts with the capture worklet loaded
+
+export class MicrophoneSource {
+    // stream: MediaStream to decode (default: ask for the microphone)
+    // audioContext: context to capture in (default: a new one at the device rate)
+    // Whatever is created here is also released here; what was passed in is left running.
+    constructor({ stream = null, audioContext = null } = {}) {
+        this.stream = stream;
+        this.audioContext = audioContext;
+        this.context = null;
+        this.activeStream = null;
+        this.node = null;
+        this.input = null;
+        this.startTime = 0;
+    }
+
+    async open(sink) {
+        // Native device rate; the decoder adapts to it
+        this.context = this.audioContext || new AudioContext();
+        if (this.context.state === 'suspended') await this.context.resume();
+
+        this.activeStream = this.stream || await navigator.mediaDevices.getUserMedia({
+            audio: { channelCount: 1, echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+        });
+
+        if (!capturingContexts.has(this.context)) {
+            await this.context.audioWorklet.addModule(new URL('../capture-worklet.js', import.meta.url));
+            capturingContexts.add(this.context);
+        }
+        this.node = new AudioWorkletNode(this.context, 'milcodec-capture', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [1],
+            channelCount: 1,
+            channelCountMode: 'explicit'
+        });
+
+        await sink.start(this.context.sampleRate);
+        this.node.port.postMessage({ type: 'connect' }, [sink.connectPort()]);
+
+        this.input = this.context.createMediaStreamSource(this.activeStream);
+        this.input.connect(this.node);
+        // Keep the node pulled by the graph; its output is silent
+        this.node.connect(this.context.destination);
+        this.startTime = this.context.currentTime;
+    }
+
+    // Samples captured so far; the audio itself bypasses the Receiver
+    position() {
+        return this.node ? Math.round((this.context.currentTime - this.startTime) * this.context.sampleRate) : 0;
+    }
+
+    close() {
+        if (this.node) {
+            this.input.disconnect();
+            this.node.disconnect();
+            this.node.port.postMessage({ type: 'disconnect' });
+            this.node = null;
+        }
+        if (this.activeStream && !this.stream) {
+            for (const track of this.activeStream.getTracks()) track.stop();
+        }
+        if (this.context && !this.audioContext) this.context.close();
+        this.activeStream = null;
+        this.context = null;
+    }
+}
+
+export class AudioBufferSource {
+    // buffer: an AudioBuffer, or anything shaped like one ({ sampleRate, getChannelData(i) })
+    // channel: which channel to decode
+    constructor(buffer, { channel = 0 } = {}) {
+        this.buffer = buffer;
+        this.channel = channel;
+        this.recorded = true;
+        this.closed = false;
+    }
+
+    async open(sink) {
+        await sink.start(this.buffer.sampleRate);
+        const samples = this.buffer.getChannelData(this.channel);
+        for (let i = 0; i < samples.length && !this.closed; i += CHUNK) {
+            sink.write(samples.slice(i, i + CHUNK));
+        }
+        if (!this.closed) sink.end();
+    }
+
+    close() {
+        this.closed = true;
+    }
+}
+
+export class FileSource {
+    // file: File or Blob in a browser (any format it can play); in Node, a path,
+    // Uint8Array or ArrayBuffer holding a WAV file
+    constructor(file, { channel = 0 } = {}) {
+        this.file = file;
+        this.channel = channel;
+        this.recorded = true;
+        this.inner = null;
+        this.closed = false;
+    }
+
+    async open(sink) {
+        const buffer = await readAudioFile(this.file);
+        if (this.closed) return;
+        this.inner = new AudioBufferSource(buffer, { channel: this.channel });
+        await this.inner.open(sink);
+    }
+
+    close() {
+        this.closed = true;
+        if (this.inner) this.inner.close();
+    }
+}
+
+export class StreamSource {
+    // chunks: iterable or async iterable of mono Float32Array chunks, or a
+    // ReadableStream of them, at sampleRate. Ends with the input.
+    constructor(chunks, sampleRate) {
+        this.chunks = chunks;
+        this.sampleRate = sampleRate;
+        this.closed = false;
+    }
+
+    async open(sink) {
+        await sink.start(this.sampleRate);
+        for await (const chunk of iterate(this.chunks)) {
+            if (this.closed) return;
+            sink.write(chunk);
+        }
+        if (!this.closed) sink.end();
+    }
+
+    close() {
+        this.closed = true;
+    }
+}
+
+export class CallbackSource {
+    // start(write, end) runs once the receiver is ready: call write(samples) with
+    // mono Float32Array chunks at sampleRate, and end() if the input finishes.
+    // It may return (or resolve to) a function that stops the input; close() calls it.
+    constructor(sampleRate, start) {
+        this.sampleRate = sampleRate;
+        this.start = start;
+        this.stopInput = null;
+        this.closed = false;
+    }
+
+    async open(sink) {
+        await sink.start(this.sampleRate);
+        const stopInput = await this.start(
+            (samples) => { if (!this.closed) sink.write(samples); },
+            () => { if (!this.closed) sink.end(); }
+        );
+        if (typeof stopInput !== 'function') return;
+        if (this.closed) stopInput();
+        else this.stopInput = stopInput;
+    }
+
+    close() {
+        this.closed = true;
+        if (this.stopInput) this.stopInput();
+        this.stopInput = null;
+    }
+}
+
+// -> AudioBuffer (browser) or AudioBuffer-shaped WAV contents (Node)
+async function readAudioFile(file) {
+    if (typeof file === 'string') {
+        const { readFile } = await import('node:fs/promises');
+        return parseWav(await readFile(file));
+    }
+
+    const bytes = file instanceof Uint8Array || file instanceof ArrayBuffer ? file : await file.arrayBuffer();
+    if (typeof OfflineAudioContext === 'undefined') return parseWav(bytes);
+
+    // decodeAudioData detaches its argument: hand it a copy
+    const copy = bytes instanceof Uint8Array ? bytes.slice().buffer : bytes.slice(0);
+    return new OfflineAudioContext(1, 1, 48000).decodeAudioData(copy);
+}
+
+// ReadableStream is not async-iterable everywhere yet
+async function* iterate(chunks) {
+    if (typeof chunks.getReader === 'function' && !chunks[Symbol.asyncIterator]) {
+        const reader = chunks.getReader();
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) return;
+                yield value;
+            }
+        } finally {
+            reader.releaseLock();
+        }
+    }
+    yield* chunks;
+}
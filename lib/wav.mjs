@@ -0,0 +1,44 @@
+/**
+ * MILCODEC WAV Reader
+ * parseWav() for sources and embedders, from wav.js: the one RIFF reader the
+ * pages, the decoder worker and the library share. Node has no
+ * decodeAudioData; browsers use it instead (see FileSource).
+ */
+
+const WAV_SCRIPT = new URL('../wav.js', import.meta.url);
+
+// wav.js is a classic script. Node evaluates it wrapped in a function, so its
+// const stays out of the global scope; a page loads it with a script tag
+// unless it already has. Module workers cannot load it: parseWav() says so.
+async function loadWav() {
+    if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+        const [{ readFile }, vm, { fileURLToPath }] = await Promise.all([
+            import('node:fs/promises'), import('node:vm'), import('node:url')
+        ]);
+        const source = await readFile(WAV_SCRIPT, 'utf8');
+        return vm.runInThisContext(`(() => {\n${source}\nreturn MilcodecWav;\n})()`, {
+            filename: fileURLToPath(WAV_SCRIPT),
+            lineOffset: -1
+        });
+    }
+
+    if (typeof MilcodecWav === 'undefined') {
+        if (typeof document === 'undefined') throw new Error('parseWav needs wav.js, which a module worker cannot load');
+        await new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = WAV_SCRIPT.href;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Could not load ${WAV_SCRIPT.href}`));
+            document.head.append(script);
+        });
+    }
+    return MilcodecWav;
+}
+
+const wav = await loadWav().catch((e) => ({ decode: () => { throw e; } }));
+
+// bytes: Uint8Array or ArrayBuffer of a .wav file
+// -> AudioBuffer-shaped { sampleRate, numberOfChannels, length, getChannelData(i) }
+export function parseWav(bytes) {
+    return wav.decode(bytes);
+}
@@ -0,0 +1,188 @@
+/**
+ * MILCODEC Message Store
+ * Received messages persisted in IndexedDB, each record sealed by MilcodecVault
+ * (so encrypted under the unlock passphrase). Messages that arrive while the
+ * vault is locked are held in memory and written out on the next unlock.
+ */
+
+const MilcodecMessageStore = {
+    messages: [], // Newest first
+    pending: [], // Received while locked, not yet persisted
+    partials: new Map(), // Long messages still arriving: id -> { id, received, count } (memory only)
+    listeners: [],
+    lastId: 0,
+
+    // fn(messages) runs after every change
+    subscribe(fn) {
+        this.listeners.push(fn);
+    },
+
+    notify() {
+        for (const fn of this.listeners) fn(this.messages);
+    },
+
+    label(id) {
+        return `msg:${id}`;
+    },
+
+    // Receive-time based, strictly increasing
+    nextId() {
+        this.lastId = Math.max(Date.now(), this.lastId + 1);
+        return this.lastId;
+    },
+
+    find(id) {
+        return this.messages.find((m) => m.id === id);
+    },
+
+    // result: MilcodecCrypto.decrypt output, info: decoder packet info, payload: raw packet bytes
+    async add(result, info = {}, payload = null) {
+        const message = {
+            id: this.nextId(),
+            messageId: result.messageId,
+            content: result.content,
+            body: result.body,
+            priority: result.priority,
+            msgType: result.msgType,
+            sender: result.sender,
+            verified: result.verified,
+            signature: result.signature,
+            keyName: result.keyName,
+            sentAt: result.sentAt,
+            receivedAt: Date.now(),
+            signal: { ...info },
+            raw: payload ? MilcodecCrypto.bytesToHex(payload) : null,
+            read: false,
+            copies: 1
+        };
+
+        this.messages.unshift(message);
+        this.notify();
+        try {
+            await this.persist(message);
+        } catch (e) {
+            // Keep it in memory and retry on the next unlock
+            console.error('[INBOX] Save failed:', e.message);
+            this.pending.push(message);
+        }
+        return message;
+    },
+
+    async persist(message) {
+        if (!MilcodecVault.isUnlocked()) {
+            if (!this.pending.includes(message)) this.pending.push(message);
+            return;
+        }
+        const record = await MilcodecVault.seal(message, this.label(message.id));
+        await MilcodecDB.put('messages', message.id, record);
+    },
+
+    async update(id, changes) {
+        const message = this.find(id);
+        if (!message) return;
+        Object.assign(message, changes);
+        this.notify();
+        await this.persist(message);
+    },
+
+    // A retransmission of an inbox message: count it on the existing entry.
+    // Matched as the replay cache matched it (MilcodecReplayGuard.keysFor):
+    // same channel key, same verified sender or none, same message ID
+    async mergeDuplicate(result) {
+        const message = this.messages.find((m) => m.messageId === result.messageId &&
+            m.keyName === result.keyName && m.verified === result.verified && (!m.verified || m.sender === result.sender));
+        if (!message) return null;
+        message.copies++;
+        this.notify();
+        await this.persist(message);
+        return message;
+    },
+
+    // Fragment progress from the decoder; a complete set leaves the list
+    setPartial({ id, received, count }) {
+        if (received >= count) this.partials.delete(id);
+        else this.partials.set(id, { id, received, count });
+        this.notify();
+    },
+
+    removePartial(id) {
+        if (this.partials.delete(id)) this.notify();
+    },
+
+    async remove(id) {
+        this.messages = this.messages.filter((m) => m.id !== id);
+        this.pending = this.pending.filter((m) => m.id !== id);
+        this.notify();
+        await MilcodecDB.delete('messages', id);
+    },
+
+    async wipe() {
+        this.messages = [];
+        this.pending = [];
+        this.notify();
+        await MilcodecDB.clear('messages');
+    },
+
+    // On unlock: decrypt stored messages and flush the ones received while locked
+    async load() {
+        const stored = [];
+        for (const [id, record] of await MilcodecDB.entries('messages')) {
+            stored.push(await MilcodecVault.open(record, this.label(id)));
+        }
+
+        const pending = this.pending;
+        this.pending = [];
+        for (const message of pending) await this.persist(message);
+
+        const storedIds = new Set(stored.map((m) => m.id));
+        this.messages = [...this.messages.filter((m) => !storedIds.has(m.id)), ...stored]
+            .sort((a, b) => b.id - a.id);
+        this.lastId = Math.max(this.lastId, ...this.messages.map((m) => m.id));
+        console.log(`[INBOX] ${stored.length} stored message(s) loaded`);
+        this.notify();
+    },
+
+    // On lock: forget decrypted history, keep what still needs saving
+    unload() {
+        this.messages = this.pending.slice();
+        this.notify();
+    },
+
+    // After a duress wipe: nothing held in memory may reach the decoy vault
+    forget() {
+        this.messages = [];
+        this.pending = [];
+        this.partials.clear();
+        this.notify();
+    },
+
+    // filter: { text, priority: 'ALL' | name, sender: 'ALL' | 'UNVERIFIED' | name }
+    query({ text = '', priority = 'ALL', sender = 'ALL' } = {}) {
+        const needle = text.trim().toLowerCase();
+        return this.messages.filter((m) => {
+            if (priority !== 'ALL' && m.priority !== priority) return false;
+            if (sender === 'UNVERIFIED' && m.verified) return false;
+            if (sender !== 'ALL' && sender !== 'UNVERIFIED' && m.sender !== sender) return false;
+            return !needle || m.content.toLowerCase().includes(needle);
+        });
+    },
+
+    senders() {
+        return [...new Set(this.messages.filter((m) => m.verified).map((m) => m.sender))].sort();
+    },
+
+    exportJSON(ids) {
+        const selected = this.messages.filter((m) => ids.includes(m.id));
+        return JSON.stringify({ exportedAt: new Date().toISOString(), messages: selected }, null, 2);
+    }
+};
+
+// Follow the vault: load history on unlock, drop it from memory on lock
+MilcodecVault.subscribe((unlocked) => {
+    if (unlocked) {
+        MilcodecMessageStore.load().catch((e) => console.error('[INBOX] Load failed:', e.message));
+    } else {
+        MilcodecMessageStore.unload();
+    }
+});
+MilcodecVault.subscribeWipe(() => MilcodecMessageStore.forget());
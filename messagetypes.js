@@ -0,0 +1,99 @@
+/**
+ * MILCODEC Message Types
+ * Registry of plaintext type bytes. Each type parses the packet's JSON body
+ * into a one-line `content` summary (used by the inbox and search) and a
+ * structured `body` for its renderer. Every type may carry a priority `p`.
+ *
+ *   1 TEXT      { m }
+ *   2 POSITION  { lat, lon, time?, label? }  degrees WGS84, time of fix in Unix seconds
+ *   3 ACK       { ref, ok? }                 ref = acknowledged message ID
+ *   4 BLOB      { name, mime?, data }        data = base64, small files/images
+ */
+
+const MilcodecMessageTypes = {
+    types: {},
+
+    register(code, name, parse) {
+        this.types[code] = { name, parse };
+    },
+
+    codeOf(name) {
+        const code = Object.keys(this.types).find((c) => this.types[c].name === name);
+        if (code === undefined) throw new Error(`Unknown message type ${name}`);
+        return Number(code);
+    },
+
+    // -> { msgType, content, body }; throws on a malformed body
+    parse(code, data) {
+        const type = this.types[code];
+        if (!type) {
+            return { msgType: 'UNKNOWN', content: `(unsupported message type ${code}) ${JSON.stringify(data)}`, body: null };
+        }
+        try {
+            const { content, body } = type.parse(data);
+            return { msgType: type.name, content, body };
+        } catch (e) {
+            throw new Error(`Malformed ${type.name} message: ${e.message}`);
+        }
+    },
+
+    requireNumber(value, field, min, max) {
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+            throw new Error(`${field} must be a number in [${min}, ${max}]`);
+        }
+        return value;
+    },
+
+    requireString(value, field) {
+        if (typeof value !== 'string' || value.length === 0) {
+            throw new Error(`${field} must be a non-empty string`);
+        }
+        return value;
+    }
+};
+
+MilcodecMessageTypes.register(1, 'TEXT', (data) => ({
+    content: String(data.m || ''),
+    body: null
+}));
+
+MilcodecMessageTypes.register(2, 'POSITION', (data) => {
+    const lat = MilcodecMessageTypes.requireNumber(data.lat, 'lat', -90, 90);
+    const lon = MilcodecMessageTypes.requireNumber(data.lon, 'lon', -180, 180);
+    // Within what a Date can hold (+/-8.64e15 ms), so the fix time always formats
+    const time = data.time === undefined || data.time === null
+        ? null
+        : MilcodecMessageTypes.requireNumber(data.time, 'time', -8.64e12, 8.64e12) * 1000;
+    const label = typeof data.label === 'string' ? data.label : '';
+    return {
+        content: `POSITION ${label ? label + ' ' : ''}${lat.toFixed(5)}, ${lon.toFixed(5)}`,
+        body: { lat, lon, time, label }
+    };
+});
+
+MilcodecMessageTypes.register(3, 'ACK', (data) => {
+    const ref = MilcodecMessageTypes.requireString(String(data.ref ?? ''), 'ref');
+    const ok = data.ok !== false;
+    return {
+        content: `${ok ? 'ACK' : 'NACK'} for message ${ref}`,
+        body: { ref, ok }
+    };
+});
+
+MilcodecMessageTypes.register(4, 'BLOB', (data) => {
+    const name = MilcodecMessageTypes.requireString(data.name, 'name');
+    const mime = typeof data.mime === 'string' && data.mime ? data.mime : 'application/octet-stream';
+    const base64 = MilcodecMessageTypes.requireString(data.data, 'data');
+
+    let size;
+    try {
+        size = atob(base64).length;
+    } catch (e) {
+        throw new Error('data must be base64');
+    }
+
+    return {
+        content: `FILE ${name} (${size} bytes, ${mime})`,
+        body: { name, mime, size, data: base64 }
+    };
+});
@@ -0,0 +1,291 @@
+/**
+ * MILCODEC Receive Pipeline
+ * Microphone -> AudioWorklet (capture) -> Web Worker (decode + decrypt) -> page.
+ * Audio goes from the worklet to the worker directly, never via the main thread.
+ */
+
+class MilcodecPipeline {
+    constructor({
+        onMessage = null, onDuplicate = null, onRejected = null, onDropped = null, onPacket = null,
+        onPreamble = null, onProgress = null, onFragment = null, onFragmentExpired = null, onState = null,
+        onSpectrum = null, onCapture = null, onLog = null, onError = null
+    } = {}) {
+        this.onMessage = onMessage;
+        this.onDuplicate = onDuplicate;
+        this.onRejected = onRejected;
+        this.onDropped = onDropped;
+        this.onPacket = onPacket;
+        this.onPreamble = onPreamble;
+        this.onProgress = onProgress;
+        this.onFragment = onFragment;
+        this.onFragmentExpired = onFragmentExpired;
+        this.onState = onState;
+        this.onSpectrum = onSpectrum;
+        this.onCapture = onCapture;
+        this.onLog = onLog;
+        this.onError = onError;
+
+        // Crypto self-check result from the worker, see selfCheck()
+        this.selfCheckResult = new Promise((resolve) => { this.resolveSelfCheck = resolve; });
+
+        this.worker = new Worker('decoder-worker.js');
+        this.worker.onmessage = (e) => this.handleWorkerMessage(e.data);
+        this.worker.onerror = (e) => {
+            // Worker script failed to load or crashed before reporting
+            this.resolveSelfCheck({ ok: false, failures: [`Decoder worker failed: ${e.message || 'could not load'}`] });
+        };
+
+        this.requests = new Map(); // requestId -> { resolve, reject }
+        this.nextRequestId = 0;
+
+        this.loadedContexts = new WeakSet();
+        this.node = null;
+        this.source = null;
+    }
+
+    handleWorkerMessage(msg) {
+        switch (msg.type) {
+            case 'message':
+                if (this.onMessage) this.onMessage(msg.result, msg.info, msg.payload);
+                break;
+            case 'duplicate':
+                if (this.onDuplicate) this.onDuplicate(msg.result, msg.info);
+                break;
+            case 'rejected':
+                if (this.onRejected) this.onRejected(msg.result, msg.info);
+                break;
+            case 'dropped':
+                if (this.onDropped) this.onDropped(msg.rejection);
+                break;
+            case 'packet':
+                if (this.onPacket) this.onPacket(msg.info);
+                break;
+            case 'preamble':
+                if (this.onPreamble) this.onPreamble(msg.preamble);
+                break;
+            case 'progress':
+                if (this.onProgress) this.onProgress(msg.progress);
+                break;
+            case 'fragment':
+                if (this.onFragment) this.onFragment(msg.progress);
+                break;
+            case 'fragmentExpired':
+                if (this.onFragmentExpired) this.onFragmentExpired(msg.id);
+                break;
+            case 'selfCheck':
+                this.resolveSelfCheck(msg.result);
+                break;
+            case 'state':
+                if (this.onState) this.onState(msg.state, msg.profile);
+                break;
+            case 'spectrum':
+                if (this.onSpectrum) this.onSpectrum(msg.spectrum);
+                break;
+            case 'capture':
+                if (this.onCapture) this.onCapture(msg.capture);
+                break;
+            case 'log':
+                if (this.onLog) this.onLog(msg.text);
+                break;
+            case 'reply': {
+                const request = this.requests.get(msg.requestId);
+                if (!request) break;
+                this.requests.delete(msg.requestId);
+                if (msg.error) request.reject(new Error(msg.error));
+                else request.resolve(msg.result);
+                break;
+            }
+            case 'error':
+                console.error('[PIPELINE] Worker error:', msg.message);
+                if (this.onError) this.onError(msg.message);
+                break;
+        }
+    }
+
+    // -> { ok, failures } from the worker's startup crypto self-check (MilcodecSelfCheck)
+    selfCheck() {
+        return this.selfCheckResult;
+    }
+
+    async start(audioContext, source) {
+        const check = await this.selfCheck();
+        if (!check.ok) throw new Error(`Crypto self-check failed: ${check.failures.join('; ')}`);
+
+        if (!this.loadedContexts.has(audioContext)) {
+            await audioContext.audioWorklet.addModule('capture-worklet.js');
+            this.loadedContexts.add(audioContext);
+        }
+
+        this.stop();
+
+        // Decoder timing follows whatever rate the device actually runs at. The
+        // worker refuses a rate the receive mode cannot carry, and start() with it.
+        await this.call('start', { sampleRate: audioContext.sampleRate });
+
+        this.node = new AudioWorkletNode(audioContext, 'milcodec-capture', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [1],
+            channelCount: 1,
+            channelCountMode: 'explicit'
+        });
+
+        // Private channel so audio chunks skip the main thread
+        const channel = new MessageChannel();
+        this.node.port.postMessage({ type: 'connect' }, [channel.port1]);
+        this.worker.postMessage({ type: 'connect' }, [channel.port2]);
+
+        this.source = source;
+        source.connect(this.node);
+        // Keep the node pulled by the graph; its output is silent
+        this.node.connect(audioContext.destination);
+
+        console.log(`[PIPELINE] Capture started at ${audioContext.sampleRate} Hz`);
+    }
+
+    stop() {
+        if (this.node) {
+            this.source.disconnect(this.node);
+            this.node.disconnect();
+            this.node.port.postMessage({ type: 'disconnect' });
+            this.node = null;
+            this.source = null;
+        }
+        this.worker.postMessage({ type: 'reset' });
+    }
+
+    // Request/response round trip to the worker
+    call(type, data = {}) {
+        const requestId = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.requests.set(requestId, { resolve, reject });
+            this.worker.postMessage({ ...data, type, requestId });
+        });
+    }
+
+    setKey(keyHex) {
+        this.worker.postMessage({ type: 'setKey', keyHex });
+    }
+
+    addKey(name, keyHex) {
+        this.worker.postMessage({ type: 'addKey', name, keyHex });
+    }
+
+    removeKey(name) {
+        this.worker.postMessage({ type: 'removeKey', name });
+    }
+
+    // No channel keys: the public default key applies
+    clearKeys() {
+        this.worker.postMessage({ type: 'clearKeys' });
+    }
+
+    // Channel keys exist but are locked away: nothing decrypts, not even under the default key
+    withdrawKeys() {
+        this.worker.postMessage({ type: 'withdrawKeys' });
+    }
+
+    // Vault locked: trusted senders, and channel keys if withdrawKeys, leave the
+    // worker once the capture running now stops (straight away if none is)
+    lockVault(withdrawKeys) {
+        this.worker.postMessage({ type: 'lockVault', withdrawKeys });
+    }
+
+    // Unlocked again before that capture stopped: keep everything
+    unlockVault() {
+        this.worker.postMessage({ type: 'unlockVault' });
+    }
+
+    addSender(name, publicKeyHex) {
+        this.worker.postMessage({ type: 'addSender', name, publicKeyHex });
+    }
+
+    removeSender(name) {
+        this.worker.postMessage({ type: 'removeSender', name });
+    }
+
+    clearSenders() {
+        this.worker.postMessage({ type: 'clearSenders' });
+    }
+
+    setSignaturePolicy(policy) {
+        this.worker.postMessage({ type: 'setSignaturePolicy', policy });
+    }
+
+    setIdentity(secretKeyHex) {
+        this.worker.postMessage({ type: 'setIdentity', secretKeyHex });
+    }
+
+    clearIdentity() {
+        this.worker.postMessage({ type: 'clearIdentity' });
+    }
+
+    // -> { audio: Float32Array, sampleRate } for a signed, encrypted ACK,
+    // modulated with profile (default: the one being received)
+    buildAck(ref, keyName, ok = true, profile = null) {
+        return this.call('buildAck', { ref, keyName, ok, profile });
+    }
+
+    setMuted(muted) {
+        this.worker.postMessage({ type: 'mute', muted });
+    }
+
+    clearReplayCache() {
+        this.worker.postMessage({ type: 'clearReplayCache' });
+    }
+
+    // Record seconds of ambient noise while capturing and seed the preamble
+    // detector's noise floor with it. Resolves { noiseFloors: { profile: floor } }
+    // for the profiles being received.
+    calibrate(seconds = 3) {
+        return this.call('calibrate', { seconds });
+    }
+
+    // Which modulation profiles to decode, see MILCODEC.PROFILES. profile: the
+    // one to receive; autoScan: all enabled profiles at once (packet info and
+    // onState report which locked); enabled: { name: bool } switches for autoScan.
+    // Applies on the next start if not capturing.
+    setReceiveMode({ profile, autoScan, enabled } = {}) {
+        this.worker.postMessage({ type: 'setReceiveMode', profile, autoScan, enabled });
+    }
+
+    // Front-end filter options, see MILCODEC.FILTER
+    setFilter(options) {
+        this.worker.postMessage({ type: 'setFilter', options });
+    }
+
+    // Ask the worker for { raw, filtered } spectra (onSpectrum) about 10 times a second
+    setSpectrumEnabled(enabled) {
+        this.worker.postMessage({ type: 'spectrum', enabled });
+    }
+
+    // Raw capture ring, see MilcodecBlackBox: { trigger, seconds, preTrigger,
+    // postTrigger, maxSeconds, format }. Triggered captures arrive at onCapture.
+    configureBlackBox(options) {
+        this.worker.postMessage({ type: 'configureBlackBox', options });
+    }
+
+    // The black box's last seconds now -> { name, wav: ArrayBuffer, metadata }
+    saveCapture() {
+        return this.call('saveCapture');
+    }
+
+    // Back to learning the noise floor from the input alone
+    clearCalibration() {
+        this.worker.postMessage({ type: 'clearCalibration' });
+    }
+
+    // One-line summary of a packet's decoder diagnostics (see MILCODEC.diagnostics)
+    static describeSignal(d) {
+        const errors = d.fecCorrections !== undefined
+            ? `${d.fecCorrections} FEC fixes`
+            : `${d.voteDisagreements} split votes`;
+        return `SNR ${d.snrDb} dB • conf ${Math.round(d.confidence.mean * 100)}% (${d.confidence.weak} weak) • ` +
+            `${errors} • ${d.clockOffsetPpm} ppm • ${Math.round(d.decodeMs)} ms`;
+    }
+
+    // 'READING_PAYLOAD 42%', or the bare state until the length is known (see MilcodecStreamDecoder)
+    static describeProgress(p) {
+        return p.totalSymbols ? `${p.state} ${Math.round(100 * p.symbols / p.totalSymbols)}%` : p.state;
+    }
+}
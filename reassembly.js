@@ -0,0 +1,86 @@
+/**
+ * MILCODEC Fragment Reassembly
+ * Collects the fragments of long messages (any order, duplicates ignored)
+ * and returns the message plaintext once every fragment has arrived.
+ * Partials that stop receiving fragments expire after TIMEOUT_MS.
+ */
+
+const MilcodecReassembler = {
+    TIMEOUT_MS: 5 * 60 * 1000,
+    MAX_PARTIALS: 16,
+
+    // id -> { count, fragments: [Uint8Array|undefined], packets, received, updatedAt }
+    partials: new Map(),
+
+    // fragment: { id, index, count, data } from MilcodecCrypto.parseFragment; packet: raw packet bytes
+    // Returns { id, received, count, plaintext, packets, evicted }: plaintext/packets stay null
+    // until complete; evicted names a partial dropped to make room
+    add(fragment, packet = null, now = Date.now()) {
+        let partial = this.partials.get(fragment.id);
+        let evicted = null;
+
+        // A different count under the same ID is a new message reusing the ID
+        if (partial && partial.count !== fragment.count) {
+            this.partials.delete(fragment.id);
+            partial = null;
+        }
+
+        if (!partial) {
+            if (this.partials.size >= this.MAX_PARTIALS) evicted = this.evictOldest();
+            partial = {
+                count: fragment.count,
+                fragments: new Array(fragment.count),
+                packets: new Array(fragment.count),
+                received: 0,
+                updatedAt: now
+            };
+            this.partials.set(fragment.id, partial);
+        }
+
+        if (!partial.fragments[fragment.index]) {
+            partial.fragments[fragment.index] = fragment.data;
+            partial.packets[fragment.index] = packet;
+            partial.received++;
+        }
+        partial.updatedAt = now;
+
+        const progress = { id: fragment.id, received: partial.received, count: partial.count, plaintext: null, packets: null, evicted };
+        if (partial.received === partial.count) {
+            this.partials.delete(fragment.id);
+            progress.plaintext = this.concat(partial.fragments);
+            progress.packets = partial.packets.every((p) => p) ? this.concat(partial.packets) : null;
+        }
+        return progress;
+    },
+
+    concat(chunks) {
+        const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            out.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return out;
+    },
+
+    evictOldest() {
+        let oldest = null;
+        for (const [id, partial] of this.partials) {
+            if (!oldest || partial.updatedAt < this.partials.get(oldest).updatedAt) oldest = id;
+        }
+        if (oldest) this.partials.delete(oldest);
+        return oldest;
+    },
+
+    // Drops stale partials; returns [{ id, received, count }]
+    expire(now = Date.now()) {
+        const expired = [];
+        for (const [id, partial] of this.partials) {
+            if (now - partial.updatedAt > this.TIMEOUT_MS) {
+                this.partials.delete(id);
+                expired.push({ id, received: partial.received, count: partial.count });
+            }
+        }
+        return expired;
+    }
+};
@@ -0,0 +1,297 @@
+/**
+ * MILCODEC Receiver - Direct UI controller for index.html
+ * Kept out of the page so the Content-Security-Policy can forbid inline script.
+ */
+
+class MilcodecReceiver {
+    static MAX_CAPTURES = 10;
+
+    constructor() {
+        this.isListening = false;
+        this.audioContext = null;
+        this.analyser = null;
+        this.rxMode = 'AUTO'; // See setReceiveMode()
+        this.spectrumView = 'raw'; // 'raw' | 'filtered' | 'compare'
+        this.spectrum = null; // Last { raw, filtered } from the decoder's front end
+
+        // Decoding and decryption run in a worker, fed by an AudioWorklet
+        this.pipeline = new MilcodecPipeline({
+            onMessage: (result, info, payload) => this.addMessage(result, info, payload),
+            onDuplicate: (result) => MilcodecMessageStore.mergeDuplicate(result),
+            onFragment: (progress) => MilcodecMessageStore.setPartial(progress),
+            onFragmentExpired: (id) => MilcodecMessageStore.removePartial(id),
+            onRejected: (result) => this.log(`Rejected: ${result.content}`),
+            onDropped: (rejection) => this.log(`Packet dropped: ${rejection.reason} ${rejection.detail}`),
+            onPacket: (info) => {
+                this.signalStrength.textContent = `Signal: ${info.profile} • ${MilcodecPipeline.describeSignal(info.diagnostics)}`;
+            },
+            onProgress: (progress) => this.handleDecoderState(MilcodecPipeline.describeProgress(progress), progress.profile),
+            onState: (state, profile) => {
+                this.ackTransmitter.handleState(state);
+                this.handleDecoderState(state, profile);
+            },
+            onSpectrum: (spectrum) => { this.spectrum = spectrum; },
+            onCapture: (capture) => this.addCapture(capture),
+            onLog: (text) => this.log(text),
+            onError: (message) => this.log(`Worker error: ${message}`)
+        });
+
+        this.startBtn = document.getElementById('start-btn');
+        this.statusIndicator = document.getElementById('status-indicator');
+        this.signalStrength = document.getElementById('signal-strength');
+        this.inbox = document.getElementById('inbox');
+        this.canvas = document.getElementById('spectrum');
+        this.ctx = this.canvas.getContext('2d');
+        this.debugLog = document.getElementById('debug-log');
+
+        this.startBtn.addEventListener('click', () => this.toggleListening());
+
+        this.calibrateBtn = document.getElementById('calibrate-btn');
+        this.noiseFloor = document.getElementById('noise-floor');
+        this.calibrateBtn.addEventListener('click', () => this.calibrate());
+
+        const rxMode = document.getElementById('rx-mode');
+        rxMode.addEventListener('change', () => this.setReceiveMode(rxMode.value));
+        this.setReceiveMode(rxMode.value);
+
+        // Black box: raw audio around packets, for offline analysis in test_file.html
+        this.captures = document.getElementById('captures');
+        const blackBoxTrigger = document.getElementById('blackbox-trigger');
+        const blackBoxFormat = document.getElementById('blackbox-format');
+        const configureBlackBox = () => {
+            this.pipeline.configureBlackBox({ trigger: blackBoxTrigger.value, format: blackBoxFormat.value });
+        };
+        blackBoxTrigger.addEventListener('change', configureBlackBox);
+        blackBoxFormat.addEventListener('change', configureBlackBox);
+        configureBlackBox();
+        document.getElementById('capture-btn').addEventListener('click', () => this.saveCapture());
+
+        const spectrumView = document.getElementById('spectrum-view');
+        spectrumView.addEventListener('change', () => this.setSpectrumView(spectrumView.value));
+
+        this.keyPanel = new MilcodecKeyPanel(document.getElementById('key-panel'), this.pipeline);
+        MilcodecVault.enableAutoLock();
+        this.inboxView = new MilcodecInboxView(this.inbox, MilcodecMessageStore);
+
+        // Optional ACK back-channel
+        this.ackTransmitter = new MilcodecAckTransmitter(this.pipeline);
+        this.ackTransmitter.onIdentity = (publicKeyHex) => this.keyPanel.showIdentity(publicKeyHex);
+        const ackPolicy = document.getElementById('ack-policy');
+        const ackDelay = document.getElementById('ack-delay');
+        ackPolicy.addEventListener('change', () => this.ackTransmitter.configure({ policy: ackPolicy.value }));
+        ackDelay.addEventListener('change', () => {
+            this.ackTransmitter.configure({ delayMs: Math.max(0, Number(ackDelay.value) || 0) });
+        });
+
+        this.pipeline.selfCheck().then((check) => {
+            if (!check.ok) this.showSelfCheckFailure(check);
+        });
+
+        this.startVisualization();
+    }
+
+    // Listening stays disabled: without working crypto nothing can be read or verified
+    showSelfCheckFailure(check) {
+        this.startBtn.disabled = true;
+        this.calibrateBtn.disabled = true;
+        this.statusIndicator.textContent = '● CRYPTO SELF-CHECK FAILED';
+        this.statusIndicator.className = 'status-off';
+        for (const failure of check.failures) this.log(`Self-check: ${failure}`);
+    }
+
+    log(msg) {
+        const line = document.createElement('div');
+        line.textContent = `> ${msg}`;
+        this.debugLog.prepend(line);
+        if (this.debugLog.children.length > 20) this.debugLog.lastChild.remove();
+    }
+
+    async toggleListening() {
+        if (this.isListening) {
+            this.stopListening();
+        } else {
+            await this.startListening();
+        }
+    }
+
+    async startListening() {
+        const check = await this.pipeline.selfCheck();
+        if (!check.ok) {
+            this.showSelfCheckFailure(check);
+            return;
+        }
+
+        try {
+            // Native device rate; the decoder worker adapts to it
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+
+            // Resume context (mobile requirement)
+            if (this.audioContext.state === 'suspended') {
+                await this.audioContext.resume();
+            }
+
+            const stream = await navigator.mediaDevices.getUserMedia({
+                audio: {
+                    channelCount: 1,
+                    echoCancellation: false,
+                    noiseSuppression: false,
+                    autoGainControl: false
+                }
+            });
+
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 256;
+
+            const microphone = this.audioContext.createMediaStreamSource(stream);
+            microphone.connect(this.analyser);
+
+            await this.pipeline.start(this.audioContext, microphone);
+
+            this.isListening = true;
+            this.startBtn.textContent = '⏹ STOP LISTENING';
+            this.startBtn.classList.add('listening');
+            this.statusIndicator.textContent = `● LISTENING (${this.rxMode})`;
+            this.statusIndicator.className = 'status-on';
+
+        } catch (e) {
+            alert('Mic Error: ' + e.message);
+        }
+    }
+
+    stopListening() {
+        this.isListening = false;
+        this.pipeline.stop();
+        this.startBtn.textContent = '🎤 START LISTENING';
+        this.startBtn.classList.remove('listening');
+        this.statusIndicator.textContent = '● OFFLINE';
+        this.statusIndicator.className = 'status-off';
+        if (this.audioContext) this.audioContext.close();
+    }
+
+    // Optional: measure the room before traffic so the detector starts from its real noise floor
+    async calibrate() {
+        if (!this.isListening) await this.startListening();
+        if (!this.isListening) return;
+
+        this.calibrateBtn.disabled = true;
+        this.noiseFloor.textContent = 'recording...';
+        try {
+            const { noiseFloors } = await this.pipeline.calibrate(3);
+            this.noiseFloor.textContent = Object.entries(noiseFloors)
+                .map(([profile, floor]) => `${profile} ${floor.toFixed(1)}`)
+                .join(', ');
+        } catch (e) {
+            this.noiseFloor.textContent = 'auto';
+            this.log(`Calibration failed: ${e.message}`);
+        } finally {
+            this.calibrateBtn.disabled = false;
+        }
+    }
+
+    async saveCapture() {
+        try {
+            this.addCapture(await this.pipeline.saveCapture());
+        } catch (e) {
+            this.log(`Capture failed: ${e.message}`);
+        }
+    }
+
+    // Download link per capture; only the newest are kept, each pins its audio in a blob URL
+    addCapture({ name, wav, metadata }) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([wav], { type: 'audio/wav' }));
+        link.download = name;
+        const outcome = metadata.outcome ? `, ${metadata.outcome.status}` : '';
+        link.textContent = `${name} (${metadata.seconds} s${outcome})`;
+        this.captures.prepend(link);
+
+        while (this.captures.children.length > MilcodecReceiver.MAX_CAPTURES) {
+            URL.revokeObjectURL(this.captures.lastChild.href);
+            this.captures.lastChild.remove();
+        }
+        this.log(`Captured ${metadata.seconds} s: ${name}`);
+    }
+
+    // 'AUTO' scans every enabled profile, otherwise a MILCODEC.PROFILES name
+    setReceiveMode(mode) {
+        this.rxMode = mode;
+        const autoScan = mode === 'AUTO';
+        this.pipeline.setReceiveMode(autoScan ? { autoScan } : { profile: mode, autoScan });
+        this.handleDecoderState('HUNTING');
+    }
+
+    // 'raw' is the microphone analyser; the others use the decoder's front-end spectra
+    setSpectrumView(view) {
+        this.spectrumView = view;
+        this.spectrum = null;
+        this.pipeline.setSpectrumEnabled(view !== 'raw');
+    }
+
+    handleDecoderState(state, profile = null) {
+        if (!this.isListening) return;
+        this.statusIndicator.textContent = state === 'HUNTING'
+            ? `● LISTENING (${this.rxMode})`
+            : `● DECODING ${profile} (${state})...`;
+    }
+
+    addMessage(result, info, payload) {
+        MilcodecMessageStore.add(result, info, payload);
+        this.ackTransmitter.acknowledge(result, this.audioContext, info.profile);
+
+        // Beep
+        const osc = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+        osc.connect(gain);
+        gain.connect(this.audioContext.destination);
+        osc.frequency.value = 880;
+        gain.gain.value = 0.1;
+        osc.start();
+        setTimeout(() => osc.stop(), 200);
+    }
+
+    startVisualization() {
+        const draw = () => {
+            requestAnimationFrame(draw);
+            const w = this.canvas.width, h = this.canvas.height;
+            this.ctx.fillStyle = '#0d0d14';
+            this.ctx.fillRect(0, 0, w, h);
+
+            if (this.spectrumView !== 'raw' && this.spectrum && this.isListening) {
+                if (this.spectrumView === 'compare') this.drawSpectrum(this.spectrum.raw, '#444');
+                this.drawSpectrum(this.spectrum.filtered);
+            } else if (this.analyser && this.isListening) {
+                const data = new Uint8Array(this.analyser.frequencyBinCount);
+                this.analyser.getByteFrequencyData(data);
+                const barW = w / data.length * 2;
+                let x = 0;
+                for (let i = 0; i < data.length; i++) {
+                    const barH = (data[i] / 255) * h;
+                    this.ctx.fillStyle = `hsl(${120 - (data[i] / 255) * 120}, 80%, 50%)`;
+                    this.ctx.fillRect(x, h - barH, barW - 1, barH);
+                    x += barW;
+                }
+            }
+        };
+        draw();
+    }
+
+    // Front-end spectrum: 128 bins spanning 0 to half the sample rate
+    drawSpectrum(bytes, color = null) {
+        const w = this.canvas.width, h = this.canvas.height;
+        const barW = w / bytes.length;
+        for (let i = 0; i < bytes.length; i++) {
+            const barH = (bytes[i] / 255) * h;
+            this.ctx.fillStyle = color || `hsl(${120 - (bytes[i] / 255) * 120}, 80%, 50%)`;
+            this.ctx.fillRect(i * barW, h - barH, barW - 1, barH);
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.receiver = new MilcodecReceiver();
+});
+
+// Precached assets keep the receiver working offline, see sw.js
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js').catch((e) => console.error('[OFFLINE] Service worker failed:', e.message));
+}
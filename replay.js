@@ -0,0 +1,86 @@
+/**
+ * MILCODEC Replay Guard
+ * Remembers every accepted nonce and message ID (persisted in IndexedDB when
+ * available) and classifies each decrypted message:
+ *   NEW       - first time heard
+ *   DUPLICATE - heard again within RETRANSMIT_WINDOW_MS (sender retransmission)
+ *   REPLAY    - heard again later than that (recorded and played back)
+ *   STALE     - carries a sender timestamp outside FRESHNESS_WINDOW_MS
+ */
+
+const MilcodecReplayGuard = {
+    RETRANSMIT_WINDOW_MS: 2 * 60 * 1000,
+    FRESHNESS_WINDOW_MS: 5 * 60 * 1000,
+    RETENTION_MS: 30 * 24 * 60 * 60 * 1000,
+    MAX_ENTRIES: 10000,
+
+    // 'n:<nonce>' / 'm:<keyName>:<sender>:<messageId>' -> first-seen time (ms), see keysFor()
+    seen: new Map(),
+
+    persistent() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    // Merge the stored cache into memory, dropping expired entries
+    async load(now = Date.now()) {
+        if (!this.persistent()) return;
+
+        for (const [key, time] of await MilcodecDB.entries('replay')) {
+            if (now - time > this.RETENTION_MS) {
+                MilcodecDB.delete('replay', key).catch(() => {});
+            } else if (!this.seen.has(key)) {
+                this.seen.set(key, time);
+            }
+        }
+        console.log(`[REPLAY] ${this.seen.size} cache entries loaded`);
+    },
+
+    remember(key, time) {
+        if (this.seen.has(key)) return;
+        this.seen.set(key, time);
+
+        // Map keeps insertion order, so the first entry is the oldest
+        if (this.seen.size > this.MAX_ENTRIES) {
+            const oldest = this.seen.keys().next().value;
+            this.seen.delete(oldest);
+            if (this.persistent()) MilcodecDB.delete('replay', oldest).catch(() => {});
+        }
+
+        if (this.persistent()) {
+            MilcodecDB.put('replay', key, time).catch((e) => console.error('[REPLAY] Persist failed:', e.message));
+        }
+    },
+
+    // A message ID is the sender's own counter, so it only names a message
+    // within one channel key and one verified sender. Unsigned and badly signed
+    // messages share a bucket of their own: they cannot use up a real sender's IDs.
+    keysFor(result) {
+        const sender = result.verified ? `=${result.sender}` : '?';
+        return [`n:${result.nonce}`, `m:${result.keyName}:${sender}:${result.messageId}`];
+    },
+
+    // result: MilcodecCrypto.decrypt output with status 'OK'
+    // freshness: false for recordings, whose timestamps are as old as the recording
+    // Returns { verdict, firstSeen }
+    check(result, now = Date.now(), { freshness = true } = {}) {
+        if (freshness && result.sentAt !== null && Math.abs(now - result.sentAt) > this.FRESHNESS_WINDOW_MS) {
+            return { verdict: 'STALE', firstSeen: null };
+        }
+
+        const keys = this.keysFor(result);
+        const times = keys.filter((k) => this.seen.has(k)).map((k) => this.seen.get(k));
+        const firstSeen = times.length > 0 ? Math.min(...times) : null;
+
+        if (firstSeen !== null && now - firstSeen > this.RETRANSMIT_WINDOW_MS) {
+            return { verdict: 'REPLAY', firstSeen };
+        }
+
+        for (const key of keys) this.remember(key, firstSeen !== null ? firstSeen : now);
+        return { verdict: firstSeen === null ? 'NEW' : 'DUPLICATE', firstSeen };
+    },
+
+    async clear() {
+        this.seen.clear();
+        if (this.persistent()) await MilcodecDB.clear('replay');
+    }
+};
@@ -0,0 +1,104 @@
+/**
+ * MILCODEC Crypto Self-Check
+ * Run before listening: proves the vendored tweetnacl is the pinned file and
+ * that its primitives give known answers. A receiver that fails must not
+ * listen, rather than decode traffic it cannot decrypt or authenticate.
+ *
+ * NACL_SRI is the same value as the integrity="" attribute on the test pages.
+ */
+
+const MilcodecSelfCheck = {
+    NACL_URL: 'vendor/nacl-fast.min.js',
+    NACL_SRI: 'sha384-05+sicyRJQ56XpL4U9HJ8YbtSzFDvAg7apPKOGV6A0JsAJKFM68jp5oLnUjG5mEp',
+
+    // Known answers. secretbox: key 0..31, nonce 100..123 (tweetnacl 1.0.3);
+    // sign: RFC 8032 section 7.1 TEST 1; hash: FIPS 180-2 SHA-512("abc")
+    VECTORS: {
+        secretbox: {
+            message: 'MILCODEC self-check',
+            box: '12e4c9edc47b52b769ffc95d6b4890444ff0d58a75f28baa908e46f851a9c0705bc953'
+        },
+        sign: {
+            seed: '9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60',
+            publicKey: 'd75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a',
+            signature: 'e5564300c360ac729086e2cc806e828a84877f1eb8e5d974d873e065224901555fb8821590a33bacc61e39701cf9b46bd25bf5f0595bbe24655141438e7a100b'
+        },
+        hash: {
+            message: 'abc',
+            digest: 'ddaf35a193617abacc417349ae20413112e6fa4e89a97ea20a9eeee64b55d39a2192992a274fc1a836ba3c23a3feebbd454d4423643ce80e2a9ac94fa54ca49f'
+        }
+    },
+
+    hex(bytes) {
+        return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    fromHex(hex) {
+        return new Uint8Array(hex.match(/../g).map((h) => parseInt(h, 16)));
+    },
+
+    // -> { ok, failures: [text] }. Never throws.
+    async run() {
+        const failures = [];
+        const check = (name, fn) => {
+            try {
+                if (!fn()) failures.push(`${name}: wrong answer`);
+            } catch (e) {
+                failures.push(`${name}: ${e.message}`);
+            }
+        };
+
+        if (typeof nacl === 'undefined' || !nacl.secretbox || !nacl.sign) {
+            return { ok: false, failures: [`tweetnacl not loaded (${this.NACL_URL})`] };
+        }
+
+        try {
+            await this.checkFile();
+        } catch (e) {
+            failures.push(e.message);
+        }
+
+        const v = this.VECTORS;
+        const encode = (text) => new TextEncoder().encode(text);
+
+        check('secretbox', () => {
+            const key = Uint8Array.from({ length: 32 }, (_, i) => i);
+            const nonce = Uint8Array.from({ length: 24 }, (_, i) => i + 100);
+            const box = nacl.secretbox(encode(v.secretbox.message), nonce, key);
+            if (this.hex(box) !== v.secretbox.box) return false;
+
+            const opened = nacl.secretbox.open(box, nonce, key);
+            box[box.length - 1] ^= 1;
+            return opened && new TextDecoder().decode(opened) === v.secretbox.message &&
+                nacl.secretbox.open(box, nonce, key) === null;
+        });
+
+        check('sign', () => {
+            const pair = nacl.sign.keyPair.fromSeed(this.fromHex(v.sign.seed));
+            const signature = nacl.sign.detached(new Uint8Array(0), pair.secretKey);
+            const forged = signature.slice();
+            forged[0] ^= 1;
+            return this.hex(pair.publicKey) === v.sign.publicKey &&
+                this.hex(signature) === v.sign.signature &&
+                nacl.sign.detached.verify(new Uint8Array(0), signature, pair.publicKey) &&
+                !nacl.sign.detached.verify(new Uint8Array(0), forged, pair.publicKey);
+        });
+
+        check('hash', () => this.hex(nacl.hash(encode(v.hash.message))) === v.hash.digest);
+
+        // Nonces come from here: it must work and must not repeat
+        check('randomBytes', () => this.hex(nacl.randomBytes(24)) !== this.hex(nacl.randomBytes(24)));
+
+        return { ok: failures.length === 0, failures };
+    },
+
+    // The library file must hash to NACL_SRI
+    async checkFile() {
+        const response = await fetch(this.NACL_URL);
+        if (!response.ok) throw new Error(`${this.NACL_URL}: HTTP ${response.status}`);
+
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-384', await response.arrayBuffer()));
+        const sri = `sha384-${btoa(String.fromCharCode(...digest))}`;
+        if (sri !== this.NACL_SRI) throw new Error(`${this.NACL_URL}: integrity mismatch (${sri})`);
+    }
+};
@@ -0,0 +1,82 @@
+/**
+ * MILCODEC Service Worker
+ * Precaches every asset so the receiver loads and runs with no connectivity.
+ * Cache-first: a deploy only reaches installed clients once CACHE_VERSION is
+ * bumped, which also guarantees the page, workers and crypto library stay
+ * one consistent set.
+ */
+
+const CACHE_VERSION = 'milcodec-v4';
+
+const PRECACHE = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'vendor/nacl-fast.min.js',
+    'selfcheck.js',
+    'receiver.js',
+    'app.js',
+    'pipeline.js',
+    'capture-worklet.js',
+    'decoder-worker.js',
+    'decoder.js',
+    'fec.js',
+    'crypto.js',
+    'messagetypes.js',
+    'db.js',
+    'vault.js',
+    'messagestore.js',
+    'replay.js',
+    'reassembly.js',
+    'wav.js',
+    'blackbox.js',
+    'keys-ui.js',
+    'inbox-ui.js',
+    'transmitter.js',
+    'lib/milcodec.mjs',
+    'lib/receiver.mjs',
+    'lib/sources.mjs',
+    'lib/wav.mjs',
+    'test_file.html',
+    'test_crypto.html'
+];
+
+self.addEventListener('install', (event) => {
+    // Bypass the HTTP cache so a new version never precaches stale files
+    event.waitUntil(
+        caches.open(CACHE_VERSION).then((cache) => cache.addAll(PRECACHE.map((url) => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        for (const name of await caches.keys()) {
+            if (name !== CACHE_VERSION) await caches.delete(name);
+        }
+        // Control the page that installed us, so it works offline from now on
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith((async () => {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        try {
+            return await fetch(request);
+        } catch (e) {
+            // Offline and not precached: fall back to the app shell for page loads
+            if (request.mode === 'navigate') {
+                const shell = await caches.match('index.html');
+                if (shell) return shell;
+            }
+            throw e;
+        }
+    })());
+});
@@ -0,0 +1,40 @@
+/**
+ * Bit error rate vs SNR for the current decoder, through the channel simulator.
+ *
+ *   node tests/ber-report.js [--from -8] [--to 8] [--step 2] [--trials 10]
+ *                            [--bytes 32] [--drift ppm] [--rt60 s] [--seed n]
+ *
+ * SNR is in-band (chirp band). "found" counts packets decoded at all, "exact"
+ * those without a single bit error; BER is over the payload bits of found packets.
+ */
+
+const h = require('./harness');
+
+function option(name, fallback) {
+    const i = process.argv.indexOf(`--${name}`);
+    return i >= 0 && i + 1 < process.argv.length ? Number(process.argv[i + 1]) : fallback;
+}
+
+const from = option('from', -8);
+const to = option('to', 8);
+const step = option('step', 2);
+const snrs = [];
+for (let snr = from; snr <= to; snr += step) snrs.push(snr);
+
+const driftPpm = option('drift', 0);
+const rt60 = option('rt60', 0);
+const impairments = { driftPpm, reverb: rt60 > 0 ? { rt60, wet: 0.3 } : null };
+
+const receiver = h.loadReceiver();
+const started = Date.now();
+const rows = h.berSweep(receiver, {
+    snrs,
+    trials: option('trials', 10),
+    payloadBytes: option('bytes', 32),
+    channel: impairments,
+    seed: option('seed', 1)
+});
+
+console.log(`MILCODEC v1, ${option('bytes', 32)}-byte payloads, drift ${driftPpm} ppm, rt60 ${rt60} s`);
+console.log(h.formatBerTable(rows));
+console.log(`${((Date.now() - started) / 1000).toFixed(1)} s`);
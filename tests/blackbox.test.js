@@ -0,0 +1,111 @@
+/**
+ * Black box (blackbox.js, wav.js): the raw input ring, triggered captures and
+ * their WAV files, on their own and behind the Receiver library.
+ *
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./harness');
+
+const FS = 48000;
+const receiver = h.loadReceiver();
+const { MILCODEC, MilcodecCrypto, MilcodecWav, MilcodecBlackBox } = receiver;
+const FAST = MILCODEC.PROFILES.FAST;
+
+const lib = import('../lib/milcodec.mjs');
+
+function ramp(from, length) {
+    return Float32Array.from({ length }, (_, i) => ((from + i) % 1000) / 1000);
+}
+
+test('ring keeps the last seconds; manual save is a WAV carrying its metadata', async () => {
+    const { parseWav } = await lib;
+    const samples = (wav) => parseWav(new Uint8Array(wav)).getChannelData(0); // wav is the sandbox's ArrayBuffer
+    const box = new MilcodecBlackBox(1000, { seconds: 2 });
+    for (let at = 0; at < 3500; at += 700) box.push(ramp(at, 700));
+
+    const capture = box.save();
+    assert.match(capture.name, /^milcodec-manual-.*\.wav$/);
+    assert.equal(capture.metadata.startSample, 1500);
+    assert.equal(capture.metadata.seconds, 2);
+
+    const metadata = MilcodecWav.readMetadata(capture.wav);
+    assert.equal(metadata.reason, 'manual');
+    assert.equal(metadata.sampleRate, 1000);
+    assert.equal(metadata.format, 'float32');
+    assert.deepEqual(samples(capture.wav), ramp(1500, 2000));
+
+    // Shrinking keeps the newest audio; 16-bit is within a step of the input
+    box.configure({ seconds: 1, format: 'int16' });
+    const pcm = samples(box.save().wav);
+    assert.equal(pcm.length, 1000);
+    const expected = ramp(2500, 1000);
+    assert.ok(pcm.every((v, i) => Math.abs(v - expected[i]) <= 1 / 32768));
+
+    assert.equal(MilcodecWav.readMetadata(h.encodeWav(expected, 1000)), null);
+    assert.throws(() => box.configure({ trigger: 'always' }), /Unknown black box trigger/);
+    assert.throws(() => box.configure({ format: 'mp3' }), /Unknown WAV format/);
+    assert.throws(() => box.configure({ seconds: 0 }), /must be positive/);
+});
+
+test("'failed' keeps rejected packets only, with lead-in and tail", () => {
+    const box = new MilcodecBlackBox(1000, { trigger: 'failed', seconds: 10, preTrigger: 2, postTrigger: 1 });
+    const captures = [];
+    box.onCapture = (capture) => captures.push(capture);
+    const run = (offset, status) => {
+        box.push(ramp(box.ring.end, 3000));
+        box.preamble({ profile: 'FAST', offset, noiseFloor: 0 });
+        box.push(ramp(box.ring.end, 500));
+        box.outcome('FAST', { status, detail: '' });
+        box.push(ramp(box.ring.end, 2000));
+    };
+
+    run(2500, 'MESSAGE');
+    assert.equal(captures.length, 0);
+
+    run(8000, 'REJECTED');
+    assert.equal(captures.length, 1);
+    const { metadata } = captures[0];
+    assert.equal(metadata.reason, 'preamble');
+    assert.equal(metadata.outcome.status, 'REJECTED');
+    assert.equal(metadata.preamble.fileOffset, 2000);
+    assert.equal(metadata.startSample, 6000);
+    assert.equal(metadata.seconds, 4); // 2 s lead-in, 1 s from preamble to outcome, 1 s tail
+    assert.equal(metadata.truncated, false);
+});
+
+test('receiver captures a packet it rejects, and the capture decodes again', async () => {
+    const { Receiver, StreamSource, FileSource } = await lib;
+    const fast = (text, key, seed) => h.pad(h.modulate(
+        h.encryptPacket(receiver, h.buildPlaintext({ m: text, p: 'FLASH' }), key, h.createRng(seed)),
+        { sampleRate: FS, profile: FAST }), FS);
+    const audio = h.concat(fast('GOOD', MilcodecCrypto.DEFAULT_KEY, 1), fast('BAD', h.randomBytes(h.createRng(9), 32), 2));
+
+    const rx = new Receiver({ mode: 'FAST', blackBox: { trigger: 'failed', format: 'int16' } });
+    const captures = [];
+    rx.on('capture', (capture) => captures.push(capture));
+
+    try {
+        const stats = await rx.start(new StreamSource([audio], FS));
+        assert.equal(stats.messages, 1);
+        assert.equal(stats.rejected, 1);
+        assert.equal(captures.length, 1);
+
+        const { name, wav, metadata } = captures[0];
+        assert.match(name, /^milcodec-preamble-FAST-/);
+        assert.equal(metadata.outcome.status, 'REJECTED');
+        assert.equal(metadata.preamble.fileOffset, 2 * FS);
+
+        const again = await Receiver.decode(new FileSource(new Uint8Array(wav)), { mode: 'FAST' });
+        assert.equal(again.rejected.length, 1);
+        assert.ok(Math.abs(again.packets[0].time - 2) < 0.01, `packet at ${again.packets[0].time} s`);
+
+        const manual = await rx.saveCapture();
+        assert.equal(manual.metadata.reason, 'manual');
+        assert.equal(manual.metadata.seconds, 30);
+    } finally {
+        rx.close();
+    }
+});
@@ -0,0 +1,300 @@
+/**
+ * Decoder regression suite: reference-modulated, encrypted packets through
+ * the channel simulator, decoded and decrypted by the receiver's own code.
+ *
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./harness');
+
+const FS = 44100;
+const receiver = h.loadReceiver();
+const { MILCODEC, MilcodecCrypto, MilcodecStreamDecoder, MilcodecFEC } = receiver;
+
+// One encrypted TEXT message, padded with 0.25 s of silence either side
+function encryptedAudio(text, { seed = 1, key = MilcodecCrypto.DEFAULT_KEY, sampleRate = FS, profile } = {}) {
+    const plaintext = h.buildPlaintext({ m: text, p: 'FLASH' });
+    const packet = h.encryptPacket(receiver, plaintext, key, h.createRng(seed));
+    const audio = h.pad(h.modulate(packet, { sampleRate, profile }), Math.round(sampleRate / 4));
+    return { packet, audio };
+}
+
+// Protocol v2 audio from the decoder's own modulator, padded like encryptedAudio()
+function v2Audio(text, { seed = 1 } = {}) {
+    const plaintext = h.buildPlaintext({ m: text, p: 'FLASH' });
+    const packet = h.encryptPacket(receiver, plaintext, MilcodecCrypto.DEFAULT_KEY, h.createRng(seed));
+    MILCODEC.setSampleRate(FS);
+    return { packet, audio: h.pad(MILCODEC.modulate(receiver.bytes(packet), 2), Math.round(FS / 4)) };
+}
+
+// Audio for an explicit symbol sequence, to send packets modulate() would not build
+function symbolAudio(bits) {
+    MILCODEC.setSampleRate(FS);
+    const len = MILCODEC.upChirp.length;
+    const audio = new Float32Array(bits.length * len);
+    bits.forEach((bit, i) => audio.set(bit ? MILCODEC.upChirp : MILCODEC.downChirp, i * len));
+    return h.pad(audio.map((v) => v * 0.3), Math.round(FS / 4));
+}
+
+function assertDecrypts(bytes, text) {
+    assert.ok(bytes, 'no packet decoded');
+    const result = MilcodecCrypto.decrypt(bytes);
+    assert.equal(result.status, 'OK', result.content);
+    assert.equal(result.content, text);
+    assert.equal(result.priority, 'FLASH');
+    assert.equal(result.keyName, 'DEFAULT');
+}
+
+// [start, length] ranges inside each of the three payload copies
+function payloadDropouts(packet, ms) {
+    const symbol = Math.round(FS * 0.05);
+    const headerSymbols = 4 + 16 + 16;
+    const copySymbols = packet.length * 8;
+    const start = Math.round(FS / 4) + headerSymbols * symbol;
+    return [0.3, 1.5, 2.7].map((at) => [start + Math.round(at * copySymbols) * symbol, Math.round(FS * ms / 1000)]);
+}
+
+test('reference modulator matches the decoder v1 bit layout', () => {
+    const bytes = Uint8Array.from([0x00, 0x5a, 0xff]);
+    assert.deepEqual(h.packetBitsV1(bytes), Array.from(MILCODEC.packetBits(bytes, 1)));
+});
+
+test('clean channel: decodes and decrypts', () => {
+    const { packet, audio } = encryptedAudio('CLEAN CHANNEL');
+    const { packets } = MILCODEC.decodeAudio(audio, FS);
+    assert.equal(packets.length, 1);
+    assert.deepEqual(Array.from(packets[0].bytes), Array.from(packet));
+    assert.ok(Math.abs(packets[0].offset - FS / 4) <= MILCODEC.SEARCH_STEP, `offset ${packets[0].offset}`);
+    assertDecrypts(packets[0].bytes, 'CLEAN CHANNEL');
+});
+
+test('AWGN at +3 dB in-band SNR', () => {
+    const { audio } = encryptedAudio('NOISY');
+    assertDecrypts(MILCODEC.extractFromAudio(h.channel(audio, { snrDb: 3, seed: 2 }), FS), 'NOISY');
+});
+
+test('clock drift of +/-1000 ppm is tracked and estimated', () => {
+    const { audio } = encryptedAudio('DRIFT');
+    for (const driftPpm of [-1000, 1000]) {
+        const { packets } = MILCODEC.decodeAudio(h.channel(audio, { driftPpm, snrDb: 20, seed: 3 }), FS);
+        assert.equal(packets.length, 1, `${driftPpm} ppm`);
+        assertDecrypts(packets[0].bytes, 'DRIFT');
+        // A fast sender clock compresses the symbols: negative offset
+        assert.ok(Math.abs(packets[0].diagnostics.clockOffsetPpm + driftPpm) < 150,
+            `${driftPpm} ppm estimated as ${packets[0].diagnostics.clockOffsetPpm}`);
+    }
+});
+
+test('reverberant room', () => {
+    const { audio } = encryptedAudio('ECHO');
+    const received = h.channel(audio, { reverb: { rt60: 0.3, wet: 0.5 }, snrDb: 10, seed: 4 });
+    assertDecrypts(MILCODEC.extractFromAudio(received, FS), 'ECHO');
+});
+
+test('clipped input', () => {
+    const { audio } = encryptedAudio('CLIPPED');
+    const received = h.channel(audio, { snrDb: 10, clipLevel: 0.1, clipGain: 3, seed: 5 });
+    assertDecrypts(MILCODEC.extractFromAudio(received, FS), 'CLIPPED');
+});
+
+test('dropouts in every payload copy are outvoted', () => {
+    const { packet, audio } = encryptedAudio('DROPOUTS');
+    const received = h.channel(audio, { snrDb: 10, dropouts: payloadDropouts(packet, 150), seed: 6 });
+    const { packets } = MILCODEC.decodeAudio(received, FS);
+    assert.equal(packets.length, 1);
+    assertDecrypts(packets[0].bytes, 'DROPOUTS');
+    assert.ok(packets[0].diagnostics.voteDisagreements > 0, 'dropouts should split some votes');
+});
+
+test('drift, reverb, noise and clipping together', () => {
+    const { audio } = encryptedAudio('FIELD CONDITIONS');
+    const received = h.channel(audio, {
+        driftPpm: 200, reverb: { rt60: 0.2, wet: 0.3 }, snrDb: 6, clipLevel: 0.3, seed: 7
+    });
+    assertDecrypts(MILCODEC.extractFromAudio(received, FS), 'FIELD CONDITIONS');
+});
+
+test('two packets in one recording, in order', () => {
+    const first = encryptedAudio('FIRST', { seed: 8 });
+    const second = encryptedAudio('SECOND', { seed: 9 });
+    const packets = MILCODEC.extractPackets(h.channel(h.concat(first.audio, second.audio), { snrDb: 10, seed: 8 }), FS);
+    assert.equal(packets.length, 2);
+    assert.ok(packets[0].offset < packets[1].offset);
+    assertDecrypts(packets[0].bytes, 'FIRST');
+    assertDecrypts(packets[1].bytes, 'SECOND');
+});
+
+test('streaming decoder agrees with batch decoding', () => {
+    const { packet, audio } = encryptedAudio('STREAMED', { seed: 10 });
+    const received = h.channel(audio, { snrDb: 6, seed: 10 });
+    const got = [];
+    MILCODEC.setSampleRate(FS);
+    const stream = new MilcodecStreamDecoder((bytes, info) => got.push({ bytes, info }));
+    for (let i = 0; i < received.length; i += 2048) stream.push(received.subarray(i, i + 2048));
+
+    assert.equal(got.length, 1);
+    assert.deepEqual(Array.from(got[0].bytes), Array.from(packet));
+    assert.equal(got[0].info.version, 1);
+    assertDecrypts(got[0].bytes, 'STREAMED');
+});
+
+test('protocol v2: modulate() round trip through a noisy channel', () => {
+    const { packet, audio } = v2Audio('VERSION TWO', { seed: 20 });
+    const { packets } = MILCODEC.decodeAudio(h.channel(audio, { snrDb: 3, seed: 20 }), FS);
+    assert.equal(packets.length, 1);
+    assert.equal(packets[0].version, 2);
+    assert.deepEqual(Array.from(packets[0].bytes), Array.from(packet));
+    assertDecrypts(packets[0].bytes, 'VERSION TWO');
+});
+
+test('protocol v2: streaming decoder', () => {
+    const { packet, audio } = v2Audio('V2 STREAMED', { seed: 21 });
+    const received = h.channel(audio, { snrDb: 6, seed: 21 });
+    const got = [];
+    const stream = new MilcodecStreamDecoder((bytes, info) => got.push({ bytes, info }));
+    for (let i = 0; i < received.length; i += 2048) stream.push(received.subarray(i, i + 2048));
+
+    assert.equal(got.length, 1);
+    assert.equal(got[0].info.version, 2);
+    assert.deepEqual(Array.from(got[0].bytes), Array.from(packet));
+    assertDecrypts(got[0].bytes, 'V2 STREAMED');
+});
+
+test('protocol v2: sync word beyond tolerance is rejected', () => {
+    const { packet } = v2Audio('BAD SYNC', { seed: 22 });
+    const bits = Array.from(MILCODEC.packetBits(receiver.bytes(packet), 2));
+    for (const i of [4, 6, 9, 12, 15]) bits[i] ^= 1; // Sync word follows the 4 preamble symbols
+    assert.ok(MILCODEC.detectVersion(bits.slice(4, 20)).distance > MILCODEC.SYNC_TOLERANCE);
+
+    const { packets, rejections } = MILCODEC.decodeAudio(symbolAudio(bits), FS);
+    assert.equal(packets.length, 0);
+    assert.equal(rejections[0].reason, MILCODEC.REJECT.SYNC_MISMATCH);
+    assert.ok(Math.abs(rejections[0].offset - FS / 4) <= MILCODEC.SEARCH_STEP, `offset ${rejections[0].offset}`);
+});
+
+test('protocol v2: header with a bad CRC is rejected', () => {
+    const { packet } = v2Audio('BAD HEADER', { seed: 23 });
+    const bits = Array.from(MILCODEC.packetBits(receiver.bytes(packet), 2));
+    const crc = MILCODEC.crc8([packet.length >> 8, packet.length & 0xFF]) ^ 0x5a;
+    const header = MilcodecFEC.encode([...MILCODEC.intToBits(packet.length, 16), ...MILCODEC.intToBits(crc, 8)]);
+    bits.splice(20, header.length, ...header);
+
+    const { packets, rejections } = MILCODEC.decodeAudio(symbolAudio(bits), FS);
+    assert.equal(packets.length, 0);
+    assert.equal(rejections[0].reason, MILCODEC.REJECT.HEADER_CRC);
+});
+
+test('other profiles: FAST and COVERT at 48 kHz', () => {
+    for (const name of ['FAST', 'COVERT']) {
+        const { audio } = encryptedAudio(name, { sampleRate: 48000, profile: MILCODEC.PROFILES[name], seed: 11 });
+        const received = h.channel(audio, { sampleRate: 48000, snrDb: 10, seed: 11 });
+        const { packets } = MILCODEC.decodeAudio(received, 48000, { autoScan: true });
+        assert.equal(packets.length, 1, name);
+        assert.equal(packets[0].profile, name);
+        assertDecrypts(packets[0].bytes, name);
+    }
+    MILCODEC.setSampleRate(FS);
+});
+
+test('old (audio, rxMode, autoScan) calls are refused', () => {
+    const { audio } = encryptedAudio('OLD CALL');
+    assert.throws(() => MILCODEC.extractFromAudio(audio, 'COVERT'), /sampleRate must be a positive number.*\{ profile \}/);
+    assert.throws(() => MILCODEC.extractFromAudio(audio, FS, true), /Decode options must be an object/);
+    assert.throws(() => MILCODEC.decodeAudio(audio, NaN), /sampleRate must be a positive number/);
+});
+
+test('wrong channel key: decoded but not decrypted', () => {
+    const key = h.randomBytes(h.createRng(12), 32);
+    const { packet, audio } = encryptedAudio('SECRET', { key });
+    const bytes = MILCODEC.extractFromAudio(audio, FS);
+    assert.deepEqual(Array.from(bytes), Array.from(packet));
+    assert.equal(MilcodecCrypto.decrypt(bytes).status, 'ERROR');
+});
+
+test('POSITION: fix time outside the Date range is malformed', () => {
+    const decrypt = (data) => MilcodecCrypto.decrypt(receiver.bytes(h.encryptPacket(
+        receiver, h.buildPlaintext(data, 2), MilcodecCrypto.DEFAULT_KEY, h.createRng(17))));
+
+    const ok = decrypt({ lat: 51.5, lon: -0.1, time: 1700000000 });
+    assert.equal(ok.status, 'OK', ok.content);
+    assert.equal(new Date(ok.body.time).toISOString(), '2023-11-14T22:13:20.000Z');
+    assert.equal(decrypt({ lat: 51.5, lon: -0.1 }).body.time, null);
+
+    for (const time of [1e300, -1e13, '1700000000']) {
+        const result = decrypt({ lat: 51.5, lon: -0.1, time });
+        assert.equal(result.status, 'ERROR', `time ${time}`);
+        assert.match(result.content, /Malformed POSITION message: time must be a number/);
+    }
+});
+
+test('default key only while no channel key is configured', () => {
+    const packet = h.encryptPacket(receiver, h.buildPlaintext({ m: 'PUBLIC', p: 'FLASH' }), MilcodecCrypto.DEFAULT_KEY, h.createRng(15));
+    const channelKey = MilcodecCrypto.bytesToHex(h.randomBytes(h.createRng(16), 32));
+    try {
+        assertDecrypts(receiver.bytes(packet), 'PUBLIC');
+
+        MilcodecCrypto.addKey('OPS', channelKey);
+        assert.equal(MilcodecCrypto.decrypt(receiver.bytes(packet)).status, 'ERROR');
+
+        // Vault locked: the configured keys are gone, the default key must not return
+        MilcodecCrypto.withdrawKeys();
+        const locked = MilcodecCrypto.decrypt(receiver.bytes(packet));
+        assert.equal(locked.status, 'ERROR');
+        assert.match(locked.content, /withdrawn/);
+        assert.throws(() => MilcodecCrypto.encrypt(new Uint8Array(65), 'DEFAULT'), /No channel key/);
+
+        // Unlocked again, then the last key deleted: none configured any more
+        MilcodecCrypto.addKey('OPS', channelKey);
+        MilcodecCrypto.removeKey('OPS');
+        assertDecrypts(receiver.bytes(packet), 'PUBLIC');
+    } finally {
+        MilcodecCrypto.clearKeys();
+    }
+});
+
+test('replay cache: an unsigned message cannot claim a signed sender\'s message ID', () => {
+    const { MilcodecReplayGuard } = receiver;
+    const alice = MilcodecCrypto.generateIdentity();
+    const message = (text, identity) => {
+        MilcodecCrypto.identity = null;
+        if (identity) MilcodecCrypto.setIdentity(identity.secretKeyHex);
+        const data = { m: text, id: 7, t: Math.floor(Date.now() / 1000) };
+        return MilcodecCrypto.decrypt(MilcodecCrypto.encrypt(MilcodecCrypto.buildMessage(1, data), 'DEFAULT'));
+    };
+
+    try {
+        MilcodecCrypto.addSender('ALICE', alice.publicKeyHex);
+        const forged = message('FORGED', null);
+        const real = message('REAL', alice);
+        assert.equal(forged.signature, 'UNSIGNED');
+        assert.equal(real.signature, 'VALID');
+        assert.equal(forged.messageId, real.messageId);
+
+        const later = Date.now() + 10 * 60 * 1000; // Past the retransmit window
+        assert.equal(MilcodecReplayGuard.check(forged).verdict, 'NEW');
+        assert.equal(MilcodecReplayGuard.check(real, later, { freshness: false }).verdict, 'NEW');
+
+        // Alice's own ID still catches her message played back
+        const replayed = { ...real, nonce: 'another nonce' };
+        assert.equal(MilcodecReplayGuard.check(replayed, later + 10 * 60 * 1000, { freshness: false }).verdict, 'REPLAY');
+    } finally {
+        MilcodecCrypto.identity = null;
+        MilcodecCrypto.clearSenders();
+        MilcodecReplayGuard.seen.clear();
+    }
+});
+
+test('noise alone yields no packet', () => {
+    const audio = h.awgn(new Float32Array(FS * 10), 0, { signalPower: 0.01, rng: h.createRng(13) });
+    assert.equal(MILCODEC.extractFromAudio(audio, FS), null);
+});
+
+test('bit error rate stays at zero down to 0 dB', () => {
+    const rows = h.berSweep(receiver, { snrs: [0, 4], trials: 3, payloadBytes: 32, seed: 14 });
+    for (const row of rows) {
+        assert.equal(row.found, row.trials, `${row.snrDb} dB: ${row.found}/${row.trials} found`);
+        assert.equal(row.errors, 0, `${row.snrDb} dB: BER ${row.ber}`);
+    }
+});
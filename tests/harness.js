@@ -0,0 +1,391 @@
+/**
+ * MILCODEC Test Harness
+ * Runs the receiver's browser scripts headless in Node, with a reference
+ * Dolphin CSS modulator and a channel simulator to put between them.
+ *
+ * The reference modulator is written from the protocol description, not
+ * from decoder.js, so a change on either side that breaks the format shows
+ * up as a failed decode. It builds protocol v1 packets:
+ * U-U-D-D preamble + sync word + 16-bit length + payload repeated 3x.
+ * Protocol v2 tests use MILCODEC.modulate(), which builds v2 by default.
+ *
+ * Crypto is the vendored tweetnacl, as in the browser; nothing to install.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Same order as the worker's importScripts()
+const NACL = 'vendor/nacl-fast.min.js';
+const SCRIPTS = ['selfcheck.js', 'fec.js', 'decoder.js', 'messagetypes.js', 'crypto.js', 'replay.js', 'wav.js', 'blackbox.js'];
+
+// Protocol v1, see README "Protocol Versions"
+const PREAMBLE = [1, 1, 0, 0];
+const SYNC_V1 = [1, 0, 1, 0, 1, 0, 1, 0, 1, 1, 0, 0, 1, 1, 0, 0];
+
+// --- Receiver under test ---
+
+// fetch() for the sandbox: paths resolve against the repository, as they
+// would against the page's URL when the folder is served
+async function fetchFile(url) {
+    try {
+        return new Response(fs.readFileSync(path.join(ROOT, url)));
+    } catch (e) {
+        return new Response(null, { status: 404 });
+    }
+}
+
+// Fresh sandbox holding nacl and the receiver scripts.
+// -> { MILCODEC, MilcodecCrypto, MilcodecStreamDecoder, MilcodecSelfCheck, MilcodecWav, MilcodecBlackBox,
+//      nacl, logs, bytes }
+// Decoder logging is collected in logs; MILCODEC_VERBOSE=1 also prints it.
+// nacl: library source to load instead of the vendored file (null: none)
+function loadReceiver({ nacl = fs.readFileSync(path.join(ROOT, NACL), 'utf8') } = {}) {
+    const logs = [];
+    const log = (...args) => {
+        const text = args.join(' ');
+        logs.push(text);
+        if (process.env.MILCODEC_VERBOSE) process.stdout.write(`${text}\n`);
+    };
+
+    const sandbox = vm.createContext({
+        console: { log, error: log, warn: log },
+        crypto: globalThis.crypto,
+        performance,
+        TextDecoder,
+        atob,
+        btoa,
+        fetch: fetchFile
+    });
+    sandbox.self = sandbox;
+
+    // As in a browser, encode() must return the page's own Uint8Array
+    const SandboxBytes = vm.runInContext('Uint8Array', sandbox);
+    sandbox.TextEncoder = class {
+        encode(text) {
+            return new SandboxBytes(new TextEncoder().encode(text));
+        }
+    };
+
+    if (nacl !== null) vm.runInContext(nacl, sandbox, { filename: NACL });
+
+    for (const file of SCRIPTS) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), sandbox, { filename: file });
+    }
+
+    // Top-level const and class declarations are not sandbox properties
+    const get = (name) => vm.runInContext(name, sandbox);
+    return {
+        MILCODEC: get('MILCODEC'),
+        MilcodecCrypto: get('MilcodecCrypto'),
+        MilcodecStreamDecoder: get('MilcodecStreamDecoder'),
+        MilcodecFEC: get('MilcodecFEC'),
+        MilcodecSelfCheck: get('MilcodecSelfCheck'),
+        MilcodecWav: get('MilcodecWav'),
+        MilcodecBlackBox: get('MilcodecBlackBox'),
+        MilcodecReplayGuard: get('MilcodecReplayGuard'),
+        nacl: sandbox.nacl,
+        logs,
+        // Typed arrays must come from the sandbox for nacl's type checks
+        bytes: (data) => new SandboxBytes(data)
+    };
+}
+
+// --- Deterministic randomness ---
+
+// mulberry32: uniform [0, 1) from a 32-bit seed
+function createRng(seed = 1) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Standard normal via Box-Muller
+function gaussian(rng) {
+    const u = 1 - rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+function randomBytes(rng, n) {
+    return Uint8Array.from({ length: n }, () => Math.floor(rng() * 256));
+}
+
+// --- Packets ---
+
+// Plaintext as the sender builds it: type + 64-byte signature (zero: unsigned) + JSON
+function buildPlaintext(data, type = 1) {
+    const json = new TextEncoder().encode(JSON.stringify(data));
+    const plaintext = new Uint8Array(65 + json.length);
+    plaintext[0] = type;
+    plaintext.set(json, 65);
+    return plaintext;
+}
+
+// nonce + nacl.secretbox(plaintext), the over-the-air payload
+function encryptPacket(receiver, plaintext, key, rng) {
+    const nonce = receiver.bytes(randomBytes(rng, 24));
+    const box = receiver.nacl.secretbox(receiver.bytes(plaintext), nonce, receiver.bytes(key));
+    const packet = new Uint8Array(24 + box.length);
+    packet.set(nonce);
+    packet.set(box, 24);
+    return packet;
+}
+
+// --- Reference modulator ---
+
+function toBits(value, width) {
+    const bits = [];
+    for (let i = width - 1; i >= 0; i--) bits.push((value >> i) & 1);
+    return bits;
+}
+
+function packetBitsV1(bytes) {
+    const payload = [];
+    for (const byte of bytes) payload.push(...toBits(byte, 8));
+    return [...PREAMBLE, ...SYNC_V1, ...toBits(bytes.length, 16), ...payload, ...payload, ...payload];
+}
+
+// Linear chirp f0 -> f1 over one symbol of n samples
+function chirp(f0, f1, duration, sampleRate) {
+    const n = Math.round(sampleRate * duration);
+    const out = new Float32Array(n);
+    const k = (f1 - f0) / duration;
+    for (let i = 0; i < n; i++) {
+        const t = i / sampleRate;
+        out[i] = Math.cos(2 * Math.PI * (f0 * t + (k / 2) * t * t));
+    }
+    return out;
+}
+
+// Protocol v1 audio for bytes: 1 = up-chirp, 0 = down-chirp.
+// profile: { fStart, fEnd, bitDuration }, e.g. an entry of MILCODEC.PROFILES
+function modulate(bytes, {
+    sampleRate = 44100,
+    profile = { fStart: 14000, fEnd: 17000, bitDuration: 0.05 },
+    amplitude = 0.3
+} = {}) {
+    const up = chirp(profile.fStart, profile.fEnd, profile.bitDuration, sampleRate);
+    const down = chirp(profile.fEnd, profile.fStart, profile.bitDuration, sampleRate);
+    const bits = packetBitsV1(bytes);
+
+    const out = new Float32Array(bits.length * up.length);
+    bits.forEach((bit, i) => out.set(bit ? up : down, i * up.length));
+    for (let i = 0; i < out.length; i++) out[i] *= amplitude;
+    return out;
+}
+
+// Silence around a signal, as a recording would have
+function pad(audio, before, after = before) {
+    const out = new Float32Array(before + audio.length + after);
+    out.set(audio, before);
+    return out;
+}
+
+function concat(...parts) {
+    const out = new Float32Array(parts.reduce((n, p) => n + p.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+// Mono .wav file bytes: 16-bit PCM, or 32-bit IEEE float with float: true
+function encodeWav(audio, sampleRate, { float = false } = {}) {
+    const bytesPerSample = float ? 4 : 2;
+    const out = Buffer.alloc(44 + audio.length * bytesPerSample);
+    out.write('RIFF', 0);
+    out.writeUInt32LE(out.length - 8, 4);
+    out.write('WAVEfmt ', 8);
+    out.writeUInt32LE(16, 16);
+    out.writeUInt16LE(float ? 3 : 1, 20);
+    out.writeUInt16LE(1, 22);
+    out.writeUInt32LE(sampleRate, 24);
+    out.writeUInt32LE(sampleRate * bytesPerSample, 28);
+    out.writeUInt16LE(bytesPerSample, 32);
+    out.writeUInt16LE(bytesPerSample * 8, 34);
+    out.write('data', 36);
+    out.writeUInt32LE(audio.length * bytesPerSample, 40);
+    for (let i = 0; i < audio.length; i++) {
+        if (float) out.writeFloatLE(audio[i], 44 + i * 4);
+        else out.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(audio[i] * 32768))), 44 + i * 2);
+    }
+    return out;
+}
+
+// --- Channel simulator ---
+
+function power(audio) {
+    let sum = 0;
+    for (let i = 0; i < audio.length; i++) sum += audio[i] * audio[i];
+    return sum / audio.length;
+}
+
+// Sender clock off by ppm: resample by (1 + ppm / 1e6), linear interpolation
+function drift(audio, ppm) {
+    const ratio = 1 + ppm / 1e6;
+    const out = new Float32Array(Math.floor((audio.length - 1) / ratio));
+    for (let i = 0; i < out.length; i++) {
+        const x = i * ratio;
+        const j = Math.floor(x);
+        out[i] = audio[j] + (x - j) * (audio[j + 1] - audio[j]);
+    }
+    return out;
+}
+
+// Room: direct path plus 48 random taps decaying 60 dB over rt60 seconds,
+// scaled so the reverberant energy is wet times the direct energy
+function reverb(audio, { rt60 = 0.2, wet = 0.3, sampleRate = 44100, rng = createRng(7) } = {}) {
+    const taps = [];
+    let energy = 0;
+    for (let i = 0; i < 48; i++) {
+        const t = 0.003 + rng() * rt60;
+        const gain = (rng() < 0.5 ? -1 : 1) * Math.pow(10, -3 * t / rt60);
+        taps.push([Math.round(t * sampleRate), gain]);
+        energy += gain * gain;
+    }
+    const scale = Math.sqrt(wet / energy);
+
+    const out = Float32Array.from(audio);
+    for (const [delay, gain] of taps) {
+        const g = gain * scale;
+        for (let i = delay; i < out.length; i++) out[i] += g * audio[i - delay];
+    }
+    return out;
+}
+
+// White Gaussian noise at snrDb relative to signalPower, measured in the
+// chirp band (bandwidth Hz) rather than over the whole spectrum
+function awgn(audio, snrDb, { signalPower, bandwidth = 3000, sampleRate = 44100, rng = createRng(11) }) {
+    const inBand = signalPower / Math.pow(10, snrDb / 10);
+    const sigma = Math.sqrt(inBand * (sampleRate / 2) / bandwidth);
+    const out = new Float32Array(audio.length);
+    for (let i = 0; i < audio.length; i++) out[i] = audio[i] + sigma * gaussian(rng);
+    return out;
+}
+
+// Overdriven input: gain, then hard limit at +/-level
+function clip(audio, level, gain = 1) {
+    return audio.map((x) => Math.max(-level, Math.min(level, x * gain)));
+}
+
+// Silence [start, length] sample ranges, like a cut-out mic or a lost buffer
+function dropouts(audio, ranges) {
+    const out = Float32Array.from(audio);
+    for (const [start, length] of ranges) out.fill(0, start, Math.min(out.length, start + length));
+    return out;
+}
+
+// The channel in capture order: sender clock, room, noise, input stage, gaps.
+// Every impairment is optional; snrDb is measured on the clean signal.
+function channel(audio, {
+    sampleRate = 44100,
+    bandwidth = 3000,
+    driftPpm = 0,
+    reverb: room = null,
+    snrDb = null,
+    clipLevel = null,
+    clipGain = 1,
+    dropouts: gaps = [],
+    seed = 1
+} = {}) {
+    const rng = createRng(seed);
+    const signalPower = power(audio);
+    let out = audio;
+
+    if (driftPpm) out = drift(out, driftPpm);
+    if (room) out = reverb(out, { ...room, sampleRate, rng });
+    if (snrDb !== null) out = awgn(out, snrDb, { signalPower, bandwidth, sampleRate, rng });
+    if (clipLevel !== null) out = clip(out, clipLevel, clipGain);
+    if (gaps.length > 0) out = dropouts(out, gaps);
+    return out;
+}
+
+// --- Bit error rate ---
+
+function bitErrors(sent, received) {
+    let errors = 0;
+    for (let i = 0; i < sent.length; i++) {
+        let x = sent[i] ^ (received[i] || 0);
+        while (x) {
+            errors += x & 1;
+            x >>= 1;
+        }
+    }
+    return errors;
+}
+
+// Decode trials random payloads at each SNR.
+// -> [{ snrDb, trials, found, exact, bits, errors, ber }], ber over found packets
+function berSweep(receiver, {
+    snrs = [-6, -4, -2, 0, 2, 4, 6, 8],
+    trials = 4,
+    payloadBytes = 32,
+    sampleRate = 44100,
+    channel: impairments = {},
+    seed = 1
+} = {}) {
+    const rng = createRng(seed);
+    const rows = [];
+
+    for (const snrDb of snrs) {
+        const row = { snrDb, trials, found: 0, exact: 0, bits: 0, errors: 0, ber: null };
+        for (let t = 0; t < trials; t++) {
+            const payload = randomBytes(rng, payloadBytes);
+            const clean = pad(modulate(payload, { sampleRate }), Math.round(sampleRate / 4));
+            const audio = channel(clean, { ...impairments, sampleRate, snrDb, seed: Math.floor(rng() * 2 ** 32) });
+
+            const received = receiver.MILCODEC.extractFromAudio(audio, sampleRate);
+            if (!received) continue;
+            const errors = bitErrors(payload, received);
+            row.found++;
+            if (errors === 0 && received.length === payload.length) row.exact++;
+            row.bits += payload.length * 8;
+            row.errors += errors;
+        }
+        row.ber = row.bits > 0 ? row.errors / row.bits : null;
+        rows.push(row);
+    }
+    return rows;
+}
+
+function formatBerTable(rows) {
+    const lines = ['SNR dB | found | exact | BER', '-------|-------|-------|---------'];
+    for (const r of rows) {
+        const ber = r.ber === null ? '-' : r.ber.toExponential(2);
+        lines.push(`${String(r.snrDb).padStart(6)} | ${`${r.found}/${r.trials}`.padStart(5)} | ${`${r.exact}/${r.trials}`.padStart(5)} | ${ber}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    loadReceiver,
+    createRng,
+    randomBytes,
+    buildPlaintext,
+    encryptPacket,
+    packetBitsV1,
+    modulate,
+    pad,
+    concat,
+    encodeWav,
+    power,
+    drift,
+    reverb,
+    awgn,
+    clip,
+    dropouts,
+    channel,
+    bitErrors,
+    berSweep,
+    formatBerTable
+};
@@ -0,0 +1,156 @@
+/**
+ * Receiver library (lib/): sources in, events out, through the decoder
+ * worker hosted in Node. FAST profile packets keep the audio short.
+ *
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./harness');
+
+const FS = 48000;
+const receiver = h.loadReceiver();
+const { MILCODEC, MilcodecCrypto } = receiver;
+const FAST = MILCODEC.PROFILES.FAST;
+
+const lib = import('../lib/milcodec.mjs');
+
+// t: sender timestamp (s); none by default
+function fastAudio(text, { seed = 1, key = MilcodecCrypto.DEFAULT_KEY, t } = {}) {
+    const packet = h.encryptPacket(receiver, h.buildPlaintext({ m: text, p: 'FLASH', t }), key, h.createRng(seed));
+    return h.pad(h.modulate(packet, { sampleRate: FS, profile: FAST }), FS / 4);
+}
+
+function chunked(audio, size = 4096) {
+    const chunks = [];
+    for (let i = 0; i < audio.length; i += size) chunks.push(audio.slice(i, i + size));
+    return chunks;
+}
+
+test('stream source: preamble, progress, packet, message and stats in order', async () => {
+    const { Receiver, StreamSource } = await lib;
+    const rx = new Receiver({ mode: 'FAST' });
+    const events = [];
+    for (const type of ['preamble', 'progress', 'packet', 'message', 'stats', 'error']) {
+        rx.on(type, (event) => events.push({ type, event }));
+    }
+
+    try {
+        const audio = h.channel(fastAudio('EMBEDDED'), { sampleRate: FS, snrDb: 10, seed: 2 });
+        const stats = await rx.start(new StreamSource(chunked(audio), FS));
+
+        const order = events.map((e) => e.type).filter((type, i, all) => type !== all[i - 1]);
+        assert.deepEqual(order, ['preamble', 'progress', 'packet', 'message', 'stats']);
+
+        const preamble = events[0].event;
+        assert.equal(preamble.profile, 'FAST');
+        assert.ok(Math.abs(preamble.time - 0.25) < 0.01, `preamble at ${preamble.time} s`);
+
+        const progress = events.filter((e) => e.type === 'progress').map((e) => e.event);
+        const last = progress[progress.length - 1];
+        assert.ok(last.totalSymbols > 0 && last.symbols <= last.totalSymbols);
+
+        const { result, info, payload } = events.find((e) => e.type === 'message').event;
+        assert.equal(result.content, 'EMBEDDED');
+        assert.equal(info.profile, 'FAST');
+        assert.ok(payload instanceof Uint8Array);
+
+        assert.equal(stats.sampleRate, FS);
+        assert.ok(Math.abs(stats.seconds - audio.length / FS) < 1e-9);
+        assert.equal(stats.preambles, 1);
+        assert.equal(stats.packets, 1);
+        assert.equal(stats.messages, 1);
+    } finally {
+        rx.close();
+    }
+});
+
+test('file source: 16-bit and float WAV in one-shot decode', async () => {
+    const { Receiver, FileSource } = await lib;
+    const audio = fastAudio('FROM FILE', { seed: 3 });
+
+    for (const float of [false, true]) {
+        const { messages, stats } = await Receiver.decode(new FileSource(h.encodeWav(audio, FS, { float })));
+        assert.equal(messages.length, 1, float ? 'float' : '16-bit');
+        assert.equal(messages[0].result.content, 'FROM FILE');
+        assert.equal(messages[0].info.profile, 'FAST'); // Found by auto-scan
+        assert.equal(stats.sampleRate, FS);
+    }
+});
+
+test('file source: a recording an hour old still decodes; live it would be stale', async () => {
+    const { Receiver, FileSource, StreamSource } = await lib;
+    const audio = fastAudio('AN HOUR AGO', { seed: 5, t: Math.floor(Date.now() / 1000) - 3600 });
+
+    const recorded = await Receiver.decode(new FileSource(h.encodeWav(audio, FS)), { mode: 'FAST' });
+    assert.equal(recorded.rejected.length, 0);
+    assert.equal(recorded.messages.length, 1);
+    assert.equal(recorded.messages[0].result.content, 'AN HOUR AGO');
+
+    const live = await Receiver.decode(new StreamSource([audio], FS), { mode: 'FAST' });
+    assert.equal(live.messages.length, 0);
+    assert.equal(live.rejected[0].result.replay, 'STALE');
+
+    const forced = await Receiver.decode(new FileSource(h.encodeWav(audio, FS)), { mode: 'FAST', freshness: true });
+    assert.equal(forced.rejected[0].result.replay, 'STALE');
+});
+
+test('parseWav reads back what was written', async () => {
+    const { parseWav } = await lib;
+    const audio = Float32Array.from({ length: 1000 }, (_, i) => Math.sin(i / 10) * 0.9);
+
+    const pcm = parseWav(h.encodeWav(audio, 22050));
+    assert.equal(pcm.sampleRate, 22050);
+    assert.equal(pcm.length, audio.length);
+    assert.ok(pcm.getChannelData(0).every((v, i) => Math.abs(v - audio[i]) < 1 / 32768 + 1e-7));
+
+    assert.deepEqual(parseWav(h.encodeWav(audio, FS, { float: true })).getChannelData(0), audio);
+    assert.throws(() => parseWav(new Uint8Array(64)), /Not a WAV file/);
+
+    // fmt fields: channels at 22, sample rate 24, block align 32, bits 34
+    const malformed = (offset, value) => {
+        const wav = new Uint8Array(h.encodeWav(audio, 22050));
+        new DataView(wav.buffer).setUint16(offset, value, true);
+        return wav;
+    };
+    for (const [field, offset, value] of [['channels', 22, 0], ['bits', 34, 12], ['bits', 34, 0], ['block align', 32, 3]]) {
+        assert.throws(() => parseWav(malformed(offset, value)), /Unsupported WAV format/, `${field} ${value}`);
+    }
+});
+
+test('callback source runs until stop(); wrong key is rejected', async () => {
+    const { Receiver, CallbackSource } = await lib;
+    const rx = new Receiver({ mode: 'FAST' });
+    const rejected = [];
+    const messages = [];
+    rx.on('rejected', (e) => rejected.push(e));
+    rx.on('message', (e) => messages.push(e));
+    assert.throws(() => rx.on('nope', () => {}), /Unknown receiver event/);
+
+    let stopped = false;
+    const audio = fastAudio('SECRET', { seed: 4, key: h.randomBytes(h.createRng(4), 32) });
+    const source = new CallbackSource(FS, (write) => {
+        for (const chunk of chunked(audio)) write(chunk);
+        // Live input: no end(); keeps "listening" until stopped
+        return () => { stopped = true; };
+    });
+
+    try {
+        const running = rx.start(source);
+        await assert.rejects(rx.start(source), /already running/);
+        for (let waited = 0; rejected.length === 0; waited += 50) {
+            assert.ok(waited < 30000, 'packet never rejected');
+            await new Promise((resolve) => setTimeout(resolve, 50));
+        }
+        rx.stop();
+
+        const stats = await running;
+        assert.ok(stopped, 'stop() should stop the input');
+        assert.equal(stats.rejected, 1);
+        assert.equal(messages.length, 0);
+        assert.equal(rejected[0].result.status, 'ERROR');
+    } finally {
+        rx.close();
+    }
+});
@@ -0,0 +1,49 @@
+/**
+ * Startup crypto self-check: passes on the vendored library, refuses a
+ * missing, modified or misbehaving one.
+ *
+ *   node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const h = require('./harness');
+
+const NACL_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'vendor', 'nacl-fast.min.js'), 'utf8');
+
+test('vendored tweetnacl passes', async () => {
+    const { MilcodecSelfCheck } = h.loadReceiver();
+    const result = await MilcodecSelfCheck.run();
+    assert.equal(result.ok, true, result.failures.join('; '));
+});
+
+test('missing library fails with a clear reason', async () => {
+    const { MilcodecSelfCheck, MilcodecCrypto } = h.loadReceiver({ nacl: null });
+    const result = await MilcodecSelfCheck.run();
+    assert.equal(result.ok, false);
+    assert.match(result.failures[0], /tweetnacl not loaded/);
+    assert.equal(MilcodecCrypto.decrypt(new Uint8Array(64)).content, 'Crypto library (tweetnacl) not loaded');
+});
+
+test('library file that does not match the pinned hash fails', async () => {
+    const { MilcodecSelfCheck } = h.loadReceiver();
+    MilcodecSelfCheck.NACL_URL = 'tests/harness.js';
+    const result = await MilcodecSelfCheck.run();
+    assert.equal(result.ok, false);
+    assert.match(result.failures.join(), /integrity mismatch/);
+});
+
+test('wrong answers from a primitive fail', async () => {
+    const { MilcodecSelfCheck, nacl } = h.loadReceiver({ nacl: NACL_SOURCE });
+    const hash = nacl.hash;
+    nacl.hash = (message) => {
+        const digest = hash(message);
+        digest[0] ^= 1;
+        return digest;
+    };
+    const result = await MilcodecSelfCheck.run();
+    assert.equal(result.ok, false);
+    assert.deepEqual(Array.from(result.failures), ['hash: wrong answer']);
+});
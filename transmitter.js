@@ -0,0 +1,132 @@
+/**
+ * MILCODEC ACK Transmitter
+ * Optionally answers received messages with a signed, encrypted ACK packet
+ * played through the speaker on the same Dolphin CSS modulation.
+ *
+ * Turn-taking: wait delayMs after the message, then until the decoder has
+ * been idle (HUNTING) for quietMs, giving up after maxWaitMs. Capture is
+ * muted while the ACK plays so the receiver does not decode itself.
+ *
+ * Policies: 'OFF', 'URGENT' (FLASH and IMMEDIATE only), 'ALL'.
+ *
+ * ACKs are signed with the receiver's own Ed25519 identity, kept in the vault
+ * and created on first unlock. Senders register its public key to verify ACKs.
+ */
+
+class MilcodecAckTransmitter {
+    constructor(pipeline, { policy = 'OFF', delayMs = 1500, quietMs = 500, maxWaitMs = 15000, tailMs = 300 } = {}) {
+        this.pipeline = pipeline;
+        this.policy = policy;
+        this.delayMs = delayMs;
+        this.quietMs = quietMs;
+        this.maxWaitMs = maxWaitMs;
+        this.tailMs = tailMs;
+
+        this.channelBusy = false;
+        this.idleSince = Date.now();
+        this.queue = Promise.resolve();
+
+        this.publicKeyHex = null;
+        this.onIdentity = null; // fn(publicKeyHex | null)
+        MilcodecVault.subscribe((unlocked) => (unlocked ? this.loadIdentity() : this.unloadIdentity()));
+    }
+
+    async loadIdentity() {
+        try {
+            let identity = await MilcodecVault.loadIdentity();
+            if (!identity) {
+                identity = await this.pipeline.call('generateIdentity');
+                await MilcodecVault.saveIdentity(identity);
+                console.log('[ACK] Receiver identity created');
+            }
+            this.pipeline.setIdentity(identity.secretKeyHex);
+            this.publicKeyHex = identity.publicKeyHex;
+        } catch (e) {
+            console.error('[ACK] Identity unavailable:', e.message);
+            this.publicKeyHex = null;
+        }
+        if (this.onIdentity) this.onIdentity(this.publicKeyHex);
+    }
+
+    unloadIdentity() {
+        this.pipeline.clearIdentity();
+        this.publicKeyHex = null;
+        if (this.onIdentity) this.onIdentity(null);
+    }
+
+    configure(options) {
+        if (options.policy !== undefined && !['OFF', 'URGENT', 'ALL'].includes(options.policy)) {
+            throw new Error(`Unknown ACK policy: ${options.policy}`);
+        }
+        for (const name of ['policy', 'delayMs', 'quietMs', 'maxWaitMs', 'tailMs']) {
+            if (options[name] !== undefined) this[name] = options[name];
+        }
+    }
+
+    shouldAck(result) {
+        if (result.msgType === 'ACK') return false; // Never ACK an ACK
+        if (this.policy === 'ALL') return true;
+        if (this.policy === 'URGENT') return result.priority === 'FLASH' || result.priority === 'IMMEDIATE';
+        return false;
+    }
+
+    // Feed decoder states here to track when the channel is quiet
+    handleState(state) {
+        const busy = state !== 'HUNTING';
+        if (this.channelBusy && !busy) this.idleSince = Date.now();
+        this.channelBusy = busy;
+    }
+
+    // Queue an ACK for a decrypted message; ACKs go out one at a time,
+    // on the profile the message came in on
+    acknowledge(result, audioContext, profile = null) {
+        if (!this.shouldAck(result) || !audioContext) return;
+
+        this.queue = this.queue
+            .then(() => this.send(result, audioContext, profile))
+            .catch((e) => console.error('[ACK] Not sent:', e.message));
+    }
+
+    async send(result, audioContext, profile) {
+        await this.sleep(this.delayMs);
+        await this.waitForQuiet();
+
+        const { audio, sampleRate } = await this.pipeline.buildAck(result.messageId, result.keyName, true, profile);
+        console.log(`[ACK] Sending for ${result.messageId} (${(audio.length / sampleRate).toFixed(1)}s)`);
+        await this.play(audio, sampleRate, audioContext);
+    }
+
+    async waitForQuiet() {
+        const deadline = Date.now() + this.maxWaitMs;
+        while (this.channelBusy || Date.now() - this.idleSince < this.quietMs) {
+            if (Date.now() > deadline) throw new Error('channel stayed busy');
+            await this.sleep(100);
+        }
+    }
+
+    async play(audio, sampleRate, audioContext) {
+        if (audioContext.state === 'closed') throw new Error('audio output closed');
+
+        const buffer = audioContext.createBuffer(1, audio.length, sampleRate);
+        buffer.copyToChannel(audio, 0);
+        const source = audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.connect(audioContext.destination);
+
+        this.pipeline.setMuted(true);
+        try {
+            await new Promise((resolve) => {
+                source.onended = resolve;
+                source.start();
+            });
+            // Let room echo die down before listening again
+            await this.sleep(this.tailMs);
+        } finally {
+            this.pipeline.setMuted(false);
+        }
+    }
+
+    sleep(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+}
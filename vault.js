@@ -0,0 +1,293 @@
+/**
+ * MILCODEC Vault
+ * Encrypts secrets at rest in IndexedDB under a passphrase.
+ * PBKDF2-SHA256 derives a non-extractable AES-256-GCM key; the key lives
+ * only in memory while unlocked. Channel keys and trusted senders are
+ * stored sealed, one record per name, with the name bound in as additional data.
+ *
+ * The passphrase is chosen once with setup() and never stored: a record
+ * sealed under the derived key is the only verifier. Failed unlocks lock
+ * further attempts out for escalating periods, kept across reloads.
+ *
+ * An optional duress passphrase opens a fresh, empty vault in its place
+ * after silently wiping the stored keys, senders, identity and messages, and
+ * the replay cache, which records what was received and when.
+ */
+
+const MilcodecVault = {
+    PBKDF2_ITERATIONS: 310000,
+    SALT_LENGTH: 16,
+    IV_LENGTH: 12,
+    CHECK_VALUE: 'milcodec-vault',
+    MIN_PASSPHRASE_LENGTH: 6,
+
+    // Lockout after failed unlocks: free attempts, then the base period
+    // doubling with every further failure up to the maximum
+    FREE_ATTEMPTS: 3,
+    LOCKOUT_BASE_MS: 30000,
+    LOCKOUT_MAX_MS: 3600000,
+
+    // Auto-lock after this long without input, see enableAutoLock()
+    IDLE_LOCK_MS: 300000,
+
+    aesKey: null,
+    attempts: Promise.resolve(), // Tail of the unlock queue, see unlock()
+    listeners: [],
+    wipeListeners: [],
+    idleTimer: null,
+
+    isUnlocked() {
+        return this.aesKey !== null;
+    },
+
+    // fn(unlocked) runs after every unlock and lock
+    subscribe(fn) {
+        this.listeners.push(fn);
+    },
+
+    notify() {
+        for (const fn of this.listeners) fn(this.isUnlocked());
+    },
+
+    // fn() runs after a duress wipe, before the decoy vault unlocks;
+    // drop anything held in memory that must not reach it
+    subscribeWipe(fn) {
+        this.wipeListeners.push(fn);
+    },
+
+    // Whether setup() has run
+    async exists() {
+        return Boolean(await MilcodecDB.get('meta', 'vault'));
+    },
+
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    // { salt, check } for a passphrase. Without one, a random key stands in,
+    // so a vault without a duress passphrase stores the same shape of record.
+    async createVerifier(passphrase = null) {
+        const salt = crypto.getRandomValues(new Uint8Array(this.SALT_LENGTH));
+        const aesKey = passphrase
+            ? await this.deriveKey(passphrase, salt, this.PBKDF2_ITERATIONS)
+            : await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        return { aesKey, salt, check: await this.seal(this.CHECK_VALUE, 'check', aesKey) };
+    },
+
+    // Derived key if passphrase matches the verifier, else null
+    async verify(passphrase, verifier, iterations) {
+        const aesKey = await this.deriveKey(passphrase, verifier.salt, iterations);
+        try {
+            return (await this.open(verifier.check, 'check', aesKey)) === this.CHECK_VALUE ? aesKey : null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    // First run: create the vault under passphrase, optionally with a duress passphrase
+    async setup(passphrase, duressPassphrase = null) {
+        if (await this.exists()) throw new Error('Vault already set up');
+        if (!passphrase || passphrase.length < this.MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Passphrase must be at least ${this.MIN_PASSPHRASE_LENGTH} characters`);
+        }
+        if (duressPassphrase && duressPassphrase === passphrase) {
+            throw new Error('Duress passphrase must differ from the passphrase');
+        }
+
+        await this.create(passphrase, duressPassphrase);
+        console.log('[VAULT] Created');
+        this.notify();
+    },
+
+    async create(passphrase, duressPassphrase = null) {
+        const main = await this.createVerifier(passphrase);
+        const duress = await this.createVerifier(duressPassphrase);
+        await MilcodecDB.put('meta', 'vault', {
+            salt: main.salt,
+            iterations: this.PBKDF2_ITERATIONS,
+            check: main.check,
+            duress: { salt: duress.salt, check: duress.check }
+        });
+        await MilcodecDB.delete('meta', 'lockout');
+        this.aesKey = main.aesKey;
+    },
+
+    // Attempts run one at a time: each sees the failures (and lockout) of the
+    // ones before it, so starting many at once does not get around the lockout
+    unlock(passphrase) {
+        const attempt = this.attempts.then(() => this.tryUnlock(passphrase));
+        this.attempts = attempt.catch(() => {});
+        return attempt;
+    },
+
+    async tryUnlock(passphrase) {
+        if (!passphrase) throw new Error('Passphrase required');
+
+        const meta = await MilcodecDB.get('meta', 'vault');
+        if (!meta) throw new Error('Vault not set up');
+
+        const wait = await this.lockoutRemaining();
+        if (wait > 0) throw new Error(`Too many attempts, try again in ${Math.ceil(wait / 1000)} s`);
+
+        // Both verifiers every time, so timing does not tell them apart
+        const aesKey = await this.verify(passphrase, meta, meta.iterations);
+        const duressKey = meta.duress ? await this.verify(passphrase, meta.duress, meta.iterations) : null;
+
+        if (aesKey) {
+            await MilcodecDB.delete('meta', 'lockout');
+            this.aesKey = aesKey;
+        } else if (duressKey) {
+            await this.wipe(passphrase);
+        } else {
+            const lockoutMs = await this.recordFailure();
+            throw new Error(lockoutMs > 0
+                ? `Wrong passphrase, locked for ${Math.ceil(lockoutMs / 1000)} s`
+                : 'Wrong passphrase');
+        }
+
+        console.log('[VAULT] Unlocked');
+        this.notify();
+    },
+
+    // Duress: erase everything sealed under the real key, then stand up an
+    // empty vault under the duress passphrase so it keeps opening the same way
+    async wipe(duressPassphrase) {
+        this.aesKey = null;
+        await MilcodecDB.clear('keys');
+        await MilcodecDB.clear('senders');
+        await MilcodecDB.clear('messages');
+        await MilcodecDB.clear('replay');
+        await MilcodecDB.delete('meta', 'identity');
+        for (const fn of this.wipeListeners) fn();
+        await this.create(duressPassphrase);
+    },
+
+    // -> lockout period started by this failure in ms (0 while attempts are free)
+    async recordFailure() {
+        const lockout = (await MilcodecDB.get('meta', 'lockout')) || { failures: 0, until: 0 };
+        lockout.failures++;
+        const excess = lockout.failures - this.FREE_ATTEMPTS;
+        const lockoutMs = excess <= 0 ? 0 : Math.min(this.LOCKOUT_BASE_MS * 2 ** (excess - 1), this.LOCKOUT_MAX_MS);
+        lockout.until = Date.now() + lockoutMs;
+        await MilcodecDB.put('meta', 'lockout', lockout);
+        return lockoutMs;
+    },
+
+    // ms until the next unlock attempt is allowed
+    async lockoutRemaining() {
+        const lockout = await MilcodecDB.get('meta', 'lockout');
+        return lockout ? Math.max(0, lockout.until - Date.now()) : 0;
+    },
+
+    lock() {
+        if (!this.aesKey) return;
+        this.aesKey = null;
+        console.log('[VAULT] Locked');
+        this.notify();
+    },
+
+    // Lock after IDLE_LOCK_MS without keyboard or pointer input, and as soon
+    // as the page is hidden (tab switch, screen off)
+    enableAutoLock(idleMs = this.IDLE_LOCK_MS) {
+        const restart = () => {
+            clearTimeout(this.idleTimer);
+            if (this.isUnlocked()) this.idleTimer = setTimeout(() => this.lock(), idleMs);
+        };
+        for (const type of ['pointerdown', 'keydown', 'wheel', 'touchstart']) {
+            document.addEventListener(type, restart, { passive: true });
+        }
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.lock();
+        });
+        this.subscribe(restart);
+    },
+
+    // JSON-serialisable value -> { iv, data }
+    async seal(value, label, aesKey = this.aesKey) {
+        if (!aesKey) throw new Error('Vault is locked');
+
+        const iv = crypto.getRandomValues(new Uint8Array(this.IV_LENGTH));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(label) },
+            aesKey,
+            new TextEncoder().encode(JSON.stringify(value))
+        );
+        return { iv, data: new Uint8Array(data) };
+    },
+
+    async open(record, label, aesKey = this.aesKey) {
+        if (!aesKey) throw new Error('Vault is locked');
+
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: record.iv, additionalData: new TextEncoder().encode(label) },
+            aesKey,
+            record.data
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    },
+
+    async saveKey(name, keyHex) {
+        MilcodecCrypto.hexToBytes(keyHex, MilcodecCrypto.KEY_LENGTH);
+        const record = await this.seal({ name, keyHex: keyHex.trim().toLowerCase() }, `key:${name}`);
+        await MilcodecDB.put('keys', name, record);
+    },
+
+    // -> [{ name, keyHex }]
+    async loadKeys() {
+        const names = await MilcodecDB.getAllKeys('keys');
+        const keys = [];
+        for (const name of names) {
+            const record = await MilcodecDB.get('keys', name);
+            keys.push(await this.open(record, `key:${name}`));
+        }
+        return keys;
+    },
+
+    deleteKey(name) {
+        return MilcodecDB.delete('keys', name);
+    },
+
+    // Whether channel keys are stored; names are readable while locked
+    async hasKeys() {
+        return (await MilcodecDB.getAllKeys('keys')).length > 0;
+    },
+
+    // Trusted sender: Ed25519 public key that signs under name
+    async saveSender(name, publicKeyHex) {
+        MilcodecCrypto.hexToBytes(publicKeyHex, MilcodecCrypto.PUBLIC_KEY_LENGTH);
+        const record = await this.seal({ name, publicKeyHex: publicKeyHex.trim().toLowerCase() }, `sender:${name}`);
+        await MilcodecDB.put('senders', name, record);
+    },
+
+    // -> [{ name, publicKeyHex }]
+    async loadSenders() {
+        const senders = [];
+        for (const [name, record] of await MilcodecDB.entries('senders')) {
+            senders.push(await this.open(record, `sender:${name}`));
+        }
+        return senders;
+    },
+
+    deleteSender(name) {
+        return MilcodecDB.delete('senders', name);
+    },
+
+    // Receiver signing identity: { secretKeyHex, publicKeyHex } or null
+    async loadIdentity() {
+        const record = await MilcodecDB.get('meta', 'identity');
+        return record ? this.open(record, 'identity') : null;
+    },
+
+    async saveIdentity(identity) {
+        await MilcodecDB.put('meta', 'identity', await this.seal(identity, 'identity'));
+    }
+};
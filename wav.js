@@ -0,0 +1,195 @@
+/**
+ * MILCODEC WAV Files
+ * Writes mono captures as 32-bit float or 16-bit PCM WAV. Decode metadata
+ * travels as JSON in the LIST/INFO comment (ICMT), which audio tools show
+ * and ignore; readMetadata() gets it back.
+ * decode() reads enough of RIFF/WAVE for recordings of the channel: integer
+ * PCM (8 to 32 bit), IEEE float (32/64 bit), plain or WAVE_FORMAT_EXTENSIBLE.
+ * It is parseWav() in lib/, for Node, which has no decodeAudioData.
+ */
+
+const MilcodecWav = {
+    FORMATS: ['float32', 'int16'],
+
+    FORMAT_PCM: 1,
+    FORMAT_FLOAT: 3,
+    FORMAT_EXTENSIBLE: 0xFFFE,
+
+    // samples: Float32Array; format: 'float32' | 'int16'; metadata: JSON-able object
+    // -> ArrayBuffer holding the .wav file
+    encode(samples, sampleRate, { format = 'float32', metadata = null } = {}) {
+        if (!this.FORMATS.includes(format)) throw new Error(`Unknown WAV format: ${format}`);
+        const float = format === 'float32';
+        const bytesPerSample = float ? 4 : 2;
+        const dataBytes = samples.length * bytesPerSample;
+        const info = metadata ? this.infoChunk({ ISFT: 'MILCODEC receiver', ICMT: JSON.stringify(metadata) }) : new Uint8Array(0);
+
+        const buffer = new ArrayBuffer(44 + info.length + dataBytes);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const tag = (at, text) => bytes.set(Array.from(text, (c) => c.charCodeAt(0)), at);
+
+        tag(0, 'RIFF');
+        view.setUint32(4, buffer.byteLength - 8, true);
+        tag(8, 'WAVE');
+        tag(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, float ? 3 : 1, true); // IEEE float : PCM
+        view.setUint16(22, 1, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * bytesPerSample, true);
+        view.setUint16(32, bytesPerSample, true);
+        view.setUint16(34, bytesPerSample * 8, true);
+        bytes.set(info, 36);
+
+        const data = 36 + info.length;
+        tag(data, 'data');
+        view.setUint32(data + 4, dataBytes, true);
+        for (let i = 0; i < samples.length; i++) {
+            const at = data + 8 + i * bytesPerSample;
+            if (float) {
+                view.setFloat32(at, samples[i], true);
+            } else {
+                view.setInt16(at, Math.max(-32768, Math.min(32767, Math.round(samples[i] * 32768))), true);
+            }
+        }
+        return buffer;
+    },
+
+    // LIST chunk of INFO text fields (NUL-terminated, word aligned)
+    infoChunk(fields) {
+        const parts = Object.entries(fields).map(([id, text]) => {
+            const value = new TextEncoder().encode(`${text}\0`);
+            const part = new Uint8Array(8 + value.length + (value.length & 1));
+            part.set(Array.from(id, (c) => c.charCodeAt(0)));
+            new DataView(part.buffer).setUint32(4, value.length, true);
+            part.set(value, 8);
+            return part;
+        });
+        const size = 4 + parts.reduce((n, p) => n + p.length, 0);
+        const chunk = new Uint8Array(8 + size);
+        chunk.set([0x4C, 0x49, 0x53, 0x54]); // 'LIST'
+        new DataView(chunk.buffer).setUint32(4, size, true);
+        chunk.set([0x49, 0x4E, 0x46, 0x4F], 8); // 'INFO'
+        let offset = 12;
+        for (const part of parts) {
+            chunk.set(part, offset);
+            offset += part.length;
+        }
+        return chunk;
+    },
+
+    // bytes: ArrayBuffer or any typed array view of a .wav file -> Uint8Array,
+    // or null if it is not a RIFF/WAVE file
+    wavBytes(bytes) {
+        const data = ArrayBuffer.isView(bytes)
+            ? new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+            : new Uint8Array(bytes);
+        if (data.length < 12 || this.tag(data, 0) !== 'RIFF' || this.tag(data, 8) !== 'WAVE') return null;
+        return data;
+    },
+
+    tag(data, at) {
+        return String.fromCharCode(...data.subarray(at, at + 4));
+    },
+
+    // RIFF chunks from..to -> [{ id, body, size }], body the offset of the
+    // chunk's contents. size is as declared: a cut-off file may fall short of it.
+    chunks(data, from = 12, to = data.length) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const found = [];
+        for (let at = from; at + 8 <= to; ) {
+            const size = view.getUint32(at + 4, true);
+            found.push({ id: this.tag(data, at), body: at + 8, size });
+            at += 8 + size + (size & 1); // Chunks are word aligned
+        }
+        return found;
+    },
+
+    // bytes: ArrayBuffer or Uint8Array of a .wav file
+    // -> metadata written by encode(), or null for any other file
+    readMetadata(bytes) {
+        const data = this.wavBytes(bytes);
+        if (!data) return null;
+
+        for (const { id, body, size } of this.chunks(data)) {
+            if (id !== 'LIST' || this.tag(data, body) !== 'INFO') continue;
+            const comment = this.chunks(data, body + 4, Math.min(body + size, data.length)).find((f) => f.id === 'ICMT');
+            if (!comment) continue;
+            const text = new TextDecoder().decode(data.subarray(comment.body, comment.body + comment.size)).replace(/\0+$/, '');
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                return null; // Someone else's comment
+            }
+        }
+        return null;
+    },
+
+    // bytes: ArrayBuffer or Uint8Array of a .wav file
+    // -> AudioBuffer-shaped { sampleRate, numberOfChannels, length, getChannelData(i) }
+    decode(bytes) {
+        const data = this.wavBytes(bytes);
+        if (!data) throw new Error('Not a WAV file');
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+        let format = null;
+        let samples = null;
+        for (const { id, body, size } of this.chunks(data)) {
+            if (id === 'fmt ' && size >= 16) {
+                format = {
+                    code: view.getUint16(body, true),
+                    channels: view.getUint16(body + 2, true),
+                    sampleRate: view.getUint32(body + 4, true),
+                    blockAlign: view.getUint16(body + 12, true),
+                    bits: view.getUint16(body + 14, true)
+                };
+                // Extensible: the real format code leads the subformat GUID
+                if (format.code === this.FORMAT_EXTENSIBLE && size >= 40) format.code = view.getUint16(body + 24, true);
+            } else if (id === 'data') {
+                // A recorder killed mid-write leaves the size unpatched; take what is there
+                samples = { offset: body, length: Math.min(size, data.length - body) };
+            }
+        }
+
+        if (!format) throw new Error('WAV file has no fmt chunk');
+        if (!samples) throw new Error('WAV file has no data chunk');
+        const bytesPerFrame = format.channels * format.bits / 8;
+        const read = format.channels > 0 && format.sampleRate > 0 && format.blockAlign === bytesPerFrame
+            ? this.sampleReader(view, format)
+            : null;
+        if (!read) {
+            throw new Error(`Unsupported WAV format: code ${format.code}, ${format.channels} channel(s), ` +
+                `${format.bits} bit, ${format.blockAlign}-byte frames, ${format.sampleRate} Hz`);
+        }
+
+        const length = Math.floor(samples.length / bytesPerFrame);
+        const channels = Array.from({ length: format.channels }, () => new Float32Array(length));
+        for (let i = 0; i < length; i++) {
+            const frame = samples.offset + i * bytesPerFrame;
+            for (let c = 0; c < format.channels; c++) channels[c][i] = read(frame + c * format.bits / 8);
+        }
+
+        return {
+            sampleRate: format.sampleRate,
+            numberOfChannels: format.channels,
+            length,
+            getChannelData: (i) => channels[i]
+        };
+    },
+
+    // -> (byteOffset) => sample in [-1, 1), or null for a format not read here
+    sampleReader(view, { code, bits }) {
+        if (code === this.FORMAT_FLOAT && bits === 32) return (at) => view.getFloat32(at, true);
+        if (code === this.FORMAT_FLOAT && bits === 64) return (at) => view.getFloat64(at, true);
+        if (code !== this.FORMAT_PCM) return null;
+
+        switch (bits) {
+            case 8: return (at) => (view.getUint8(at) - 128) / 128; // 8-bit is unsigned
+            case 16: return (at) => view.getInt16(at, true) / 32768;
+            case 24: return (at) => ((view.getUint8(at + 2) << 24 | view.getUint16(at, true) << 8) >> 8) / 8388608;
+            case 32: return (at) => view.getInt32(at, true) / 2147483648;
+            default: return null;
+        }
+    }
+};